@@ -0,0 +1,422 @@
+import crypto from 'crypto';
+import xlsx from 'xlsx';
+import { MOCK_USERS, REJECT_NAME_PATTERN, FAIL_NAME_PATTERN } from './users.js';
+import { sendHtml, sendJson, sendDownload, readJson, readCookies, setCookie, dashedDate, isoDay, nextRef } from './http.js';
+
+const SESSION_COOKIE = 'gtb_session';
+
+// Header of the "Admin Bulk XLSX CUSTOM" template (see AXIS_BULK_TEMPLATE).
+const BULK_HEADER = ['Payment Method', 'Debit Account Number', 'Value Date', 'Amount', 'Beneficiary Name',
+  'Beneficiary Account Number', 'Beneficiary IFSC', 'CRN', 'Beneficiary Email', 'Beneficiary Mobile'];
+
+// Login, Payments and Reports of Axis GTB in one page; labels follow the real Angular screens.
+const APP_PAGE = `<!doctype html>
+<html><head><title>Axis GTB (mock)</title>
+<style>
+  .menu { border: 1px solid #ccc; padding: 4px; }
+  .mat-calendar { border: 1px solid #999; display: inline-block; padding: 4px; }
+</style></head>
+<body>
+<section id="app"></section>
+<input type="file" id="fileInput" hidden>
+<script>
+  const $ = id => document.getElementById(id);
+  const app = $('app');
+  const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+  const range = { from: null, to: null };
+
+  async function api(url, body) {
+    const res = await fetch(url, body === undefined ? {} : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { ok: res.ok, body: await res.json() };
+  }
+  const on = (id, fn) => $(id).addEventListener('click', fn);
+  const isoDay = d => d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+
+  // ——— Login ———
+  function showLogin() {
+    app.innerHTML = '<h1>Axis Bank GTB</h1>'
+      + '<input id="corp" aria-label="Corporate ID*"><input id="login" aria-label="Login ID*">'
+      + '<button id="proceed">Proceed</button><p id="error" role="alert"></p>';
+    on('proceed', () => {
+      if (!$('corp').value || !$('login').value) { $('error').textContent = 'Enter Corporate ID and Login ID'; return; }
+      const corporateId = $('corp').value;
+      const loginId = $('login').value;
+      app.innerHTML = '<h1>Axis Bank GTB</h1><input id="password" type="password" role="textbox" aria-label="Password*">'
+        + '<button id="proceed">Proceed</button><p id="error" role="alert"></p>';
+      on('proceed', async () => {
+        const r = await api('/gtb/api/login', { corporateId, loginId, password: $('password').value });
+        if (!r.ok) { $('error').textContent = r.body.error; return; }
+        showOtp('login', async otp => {
+          const v = await api('/gtb/api/verify', { otp });
+          if (!v.ok) return v.body.error;
+          showDashboard();
+        });
+      });
+    });
+  }
+
+  function showOtp(purpose, submit) {
+    const box = document.createElement('div');
+    box.innerHTML = '<input id="otpInput" aria-label="Enter OTP" maxlength="6"><button id="otpSubmit">Submit</button><p id="otpError" role="alert"></p>';
+    app.innerHTML = '';
+    app.appendChild(box);
+    on('otpSubmit', async () => {
+      const error = await submit($('otpInput').value);
+      if (error) $('otpError').textContent = error;
+    });
+  }
+
+  // ——— Dashboard ———
+  function shell(content) {
+    app.innerHTML = '<header><button id="menuPayments">Payments</button><button id="menuReports">Reports</button><button id="logout">Logout</button></header>'
+      + '<div id="menu"></div><main id="page">' + content + '</main>';
+    on('menuPayments', () => {
+      $('menu').innerHTML = '<div class="menu"><a href="#" id="newPayments">New Payments</a></div>';
+      on('newPayments', e => { e.preventDefault(); showVendorMenu(); });
+    });
+    on('menuReports', () => {
+      $('menu').innerHTML = '<div class="menu"><a href="#" id="tar">Transaction Analysis Report</a></div>';
+      on('tar', e => { e.preventDefault(); showReport(); });
+    });
+    on('logout', async () => { await api('/gtb/api/logout', {}); showLogin(); });
+  }
+
+  function showDashboard() {
+    shell('<h2>Welcome</h2>');
+  }
+
+  function showVendorMenu() {
+    shell('<button id="vendor">Vendor Payments</button>');
+    on('vendor', showBulkUpload);
+  }
+
+  function showBulkUpload() {
+    shell('<div role="tablist"><button role="tab" id="tabSingle">Single Payment</button><button role="tab" id="tabBulk">Bulk Payment</button></div><div id="tabBody"></div>');
+    on('tabBulk', () => {
+      $('tabBody').innerHTML = '<label><input type="radio" name="scope" id="withinAxis">Within Axis Bank</label>'
+        + '<label><input type="radio" name="scope" id="allBanks">Across All Banks</label>'
+        + '<div id="templates"></div><div id="upload"></div>';
+      $('allBanks').addEventListener('change', () => {
+        $('templates').innerHTML = '<div class="tpl" id="tplAdmin"><span>Admin Bulk</span><span>XLSX</span><span>CUSTOM</span></div>';
+        on('tplAdmin', () => {
+          $('upload').innerHTML = '<p>Selected template: Admin Bulk</p><span id="chosen"></span><button id="proceed">Proceed</button><p id="status" role="status"></p>';
+          $('fileInput').onchange = () => { $('chosen').textContent = $('fileInput').files[0]?.name || ''; };
+          on('proceed', validateUpload);
+        });
+      });
+    });
+  }
+
+  async function validateUpload() {
+    const file = $('fileInput').files[0];
+    if (!file) { $('status').textContent = 'Select a file'; return; }
+    const buffer = new Uint8Array(await file.arrayBuffer());
+    let binary = '';
+    buffer.forEach(b => { binary += String.fromCharCode(b); });
+    $('status').textContent = 'Validating…';
+    const r = await api('/gtb/api/upload', { fileName: file.name, content: btoa(binary) });
+    if (!r.ok) { $('status').textContent = 'Validation Failed: ' + r.body.error; return; }
+    $('upload').innerHTML = '<div>Validation Completed</div><p>' + r.body.count + ' payments, INR ' + r.body.total + '</p><button id="proceed">Proceed</button>';
+    $('fileInput').value = '';
+    on('proceed', () => showPaymentOverview(r.body));
+  }
+
+  function showPaymentOverview(upload) {
+    shell('<h2>Payment Overview</h2><p>' + upload.fileName + ' – ' + upload.count + ' payments</p><button id="makePayment">Make Payment</button>');
+    on('makePayment', async () => {
+      await api('/gtb/api/pay/request', { uploadId: upload.id });
+      showOtp('transaction', async otp => {
+        const r = await api('/gtb/api/pay', { uploadId: upload.id, otp });
+        if (!r.ok) return r.body.error;
+        shell('<div>Fund transfer successful</div><button id="back">Back to Payment Overview</button>');
+        on('back', showDashboard);
+      });
+    });
+  }
+
+  // ——— Transaction Analysis Report ———
+  function showReport() {
+    shell('<h2>Transaction Analysis Report</h2>'
+      + '<label><input type="radio" name="rtype" id="rUser">User Report</label><label><input type="radio" name="rtype" id="rAdmin">Admin Report</label>'
+      + '<div>From <span id="fromLabel"></span><button aria-label="Choose date" data-which="from">📅</button></div>'
+      + '<div>To <span id="toLabel"></span><button aria-label="Choose date" data-which="to">📅</button></div>'
+      + '<div id="calendar"></div><button id="generate">Generate Report</button><div id="result"></div>');
+    document.querySelectorAll('[data-which]').forEach(b => b.addEventListener('click', () => openCalendar(b.dataset.which)));
+    on('generate', async () => {
+      const today = new Date();
+      const from = range.from || today;
+      const to = range.to || today;
+      const r = await api('/gtb/api/report?from=' + isoDay(from) + '&to=' + isoDay(to));
+      $('result').innerHTML = '<p>' + r.body.count + ' transactions</p><button id="downloadAll">Download All</button><div id="formats"></div>';
+      on('downloadAll', () => {
+        $('formats').innerHTML = '<div class="menu"><div id="fmtXls">XLS</div><div id="fmtPdf">PDF</div></div>';
+        on('fmtXls', () => { location.href = '/gtb/api/report.xls?from=' + isoDay(from) + '&to=' + isoDay(to); });
+      });
+    });
+  }
+
+  // Angular Material style calendar: day view, "Choose month and year" → year view → month view.
+  function openCalendar(which) {
+    const cal = { which, view: new Date(range[which] || new Date()), yearPageStart: null };
+    cal.view.setDate(1);
+    renderDays(cal);
+  }
+
+  function calendarFrame(cal, header, body) {
+    $('calendar').innerHTML = '<div class="mat-calendar">' + header + '<table role="grid"><tbody>' + body + '</tbody></table></div>';
+  }
+
+  function renderDays(cal) {
+    const y = cal.view.getFullYear();
+    const m = cal.view.getMonth();
+    const days = new Date(y, m + 1, 0).getDate();
+    let body = '<tr>';
+    for (let d = 1; d <= days; d++) {
+      body += '<td role="gridcell" data-day="' + d + '">' + d + '</td>';
+      if (d % 7 === 0) body += '</tr><tr>';
+    }
+    calendarFrame(cal, '<button aria-label="Choose month and year" id="period">' + MONTHS[m] + ' ' + y + '</button>'
+      + '<button aria-label="Previous month" id="prevMonth">‹</button><button aria-label="Next month" id="nextMonth">›</button>', body + '</tr>');
+    on('period', () => { cal.yearPageStart = y - (y % 24); renderYears(cal); });
+    on('prevMonth', () => { cal.view = new Date(y, m - 1, 1); renderDays(cal); });
+    on('nextMonth', () => { cal.view = new Date(y, m + 1, 1); renderDays(cal); });
+    $('calendar').querySelectorAll('[data-day]').forEach(td => td.addEventListener('click', () => {
+      range[cal.which] = new Date(y, m, Number(td.dataset.day));
+      $(cal.which + 'Label').textContent = range[cal.which].toLocaleDateString('en-GB');
+      $('calendar').innerHTML = '';
+    }));
+  }
+
+  function renderYears(cal) {
+    let body = '<tr>';
+    for (let i = 0; i < 24; i++) {
+      body += '<td role="gridcell" data-year="' + (cal.yearPageStart + i) + '">' + (cal.yearPageStart + i) + '</td>';
+      if (i % 4 === 3) body += '</tr><tr>';
+    }
+    calendarFrame(cal, '<button aria-label="Previous 24 years" id="prevYears">‹</button><button aria-label="Next 24 years" id="nextYears">›</button>', body + '</tr>');
+    on('prevYears', () => { cal.yearPageStart -= 24; renderYears(cal); });
+    on('nextYears', () => { cal.yearPageStart += 24; renderYears(cal); });
+    $('calendar').querySelectorAll('[data-year]').forEach(td => td.addEventListener('click', () => {
+      cal.view = new Date(Number(td.dataset.year), 0, 1);
+      renderMonths(cal);
+    }));
+  }
+
+  function renderMonths(cal) {
+    const y = cal.view.getFullYear();
+    let body = '<tr>';
+    MONTHS.forEach((name, i) => {
+      body += '<td role="gridcell" data-month="' + i + '">' + name + '</td>';
+      if (i % 4 === 3) body += '</tr><tr>';
+    });
+    calendarFrame(cal, '<span>' + y + '</span>', body + '</tr>');
+    $('calendar').querySelectorAll('[data-month]').forEach(td => td.addEventListener('click', () => {
+      cal.view = new Date(y, Number(td.dataset.month), 1);
+      renderDays(cal);
+    }));
+  }
+
+  fetch('/gtb/api/session').then(r => (r.ok ? showDashboard() : showLogin()));
+</script>
+</body></html>`;
+
+/**
+ * Indian digit grouping as printed in GTB reports, e.g. "INR 2,00,000.00".
+ */
+const inr = amount => `INR ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Reads an uploaded Admin Bulk XLSX and checks each payment.
+ * @param {Buffer} buffer - Uploaded workbook.
+ * @returns {{payments: Array<Object>, errors: string[]}}
+ */
+function checkBulkFile(buffer) {
+  const workbook = xlsx.read(buffer, { type: 'buffer' });
+  const rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '', raw: false });
+  const [header = [], ...data] = rows;
+  const errors = [];
+  if (BULK_HEADER.some((name, i) => String(header[i]).trim() !== name)) {
+    return { payments: [], errors: ['Template header does not match Admin Bulk XLSX CUSTOM'] };
+  }
+
+  const payments = data.filter(r => r.some(v => String(v).trim())).map((r, index) => {
+    const payment = Object.fromEntries(BULK_HEADER.map((name, i) => [name, String(r[i]).trim()]));
+    const line = index + 2;
+    if (!['IMPS', 'NEFT', 'RTGS'].includes(payment['Payment Method'])) errors.push(`Row ${line}: invalid payment method`);
+    if (!payment['Debit Account Number']) errors.push(`Row ${line}: debit account missing`);
+    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(payment['Beneficiary IFSC'])) errors.push(`Row ${line}: invalid IFSC`);
+    if (!/^\d{9,18}$/.test(payment['Beneficiary Account Number'])) errors.push(`Row ${line}: invalid account number`);
+    if (!(Number(payment.Amount) > 0)) errors.push(`Row ${line}: invalid amount`);
+    if (REJECT_NAME_PATTERN.test(payment['Beneficiary Name'])) errors.push(`Row ${line}: beneficiary name mismatch`);
+    return payment;
+  });
+  if (!payments.length) errors.push('No payments in file');
+  return { payments, errors };
+}
+
+/**
+ * Builds the Transaction Analysis Report: a 15-row preamble, the header on
+ * row 16 and the summary blocks `parseAxisBankReport` stops at.
+ */
+function reportWorkbook(transactions, { from, to, corporateId }) {
+  const preamble = [
+    ['Axis Bank Ltd'],
+    ['Transaction Analysis Report'],
+    [],
+    ['Corporate ID', corporateId],
+    ['Report Type', 'Admin Report'],
+    ['From Date', dashedDate(from)],
+    ['To Date', dashedDate(to)],
+    ['Generated On', new Date().toLocaleString('en-GB')],
+    [],
+    ['Total Transactions', transactions.length],
+    [],
+    [],
+    [],
+    [],
+    [],
+  ];
+  const header = ['S. No.', 'Transaction Date', 'Beneficiary Name', 'Beneficiary Account Number', 'Beneficiary Bank',
+    'Beneficiary IFSC', 'Amount', 'UTR', 'CRN', 'File Name', 'Status', 'Payment Mode'];
+  const rows = transactions.map((t, i) => [
+    i + 1, dashedDate(t.paidAt), t.name, t.account, t.ifsc.slice(0, 4), t.ifsc, inr(t.amount), t.utr, t.crn, t.fileName, t.status, t.mode,
+  ]);
+  const byMode = {};
+  for (const t of transactions) byMode[t.mode] = (byMode[t.mode] || 0) + t.amount;
+  const summary = [
+    [],
+    ['Payment Type Summary'],
+    ...Object.entries(byMode).map(([mode, total]) => [mode, inr(total)]),
+    [],
+    ['Note: Unless the constituent notifies the bank of any discrepancy within 15 days, the report is deemed correct.'],
+  ];
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([...preamble, header, ...rows, ...summary]), 'Report');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'biff8' });
+}
+
+/**
+ * Mock of the Axis GTB login, bulk upload/payment and Transaction Analysis Report
+ * screens the Axis adapter drives.
+ * @param {Object} options
+ * @param {ReturnType<import('./otp.js').createOtpStore>} options.otp - OTP source.
+ * @returns {{handle: Function, state: Object}} `handle(req, res, url)` resolves true when it served the request.
+ */
+export function createAxisPortal({ otp }) {
+  const sessions = new Map(); // token → { user, verified }
+  const uploads = [];
+  const transactions = [];
+
+  function session(req) {
+    return sessions.get(readCookies(req)[SESSION_COOKIE]);
+  }
+
+  function inRange(from, to) {
+    return transactions.filter(t => isoDay(t.paidAt) >= from && isoDay(t.paidAt) <= to);
+  }
+
+  async function handle(req, res, url) {
+    const { pathname } = url;
+    if (pathname === '/pre-login-interim' && req.method === 'GET') return sendHtml(res, APP_PAGE), true;
+    if (!pathname.startsWith('/gtb')) return false;
+
+    if (req.method === 'POST' && pathname === '/gtb/api/login') {
+      const { corporateId, loginId, password } = await readJson(req);
+      const user = MOCK_USERS.axis.find(u => u.corporateId === corporateId && u.loginId === loginId && u.password === password);
+      if (!user) return sendJson(res, { error: 'Invalid credentials' }, 401), true;
+      const token = crypto.randomUUID();
+      sessions.set(token, { user, verified: false });
+      setCookie(res, SESSION_COOKIE, token);
+      otp.issue({ bank: 'axis', account: user.loginId, phone: user.phone, purpose: 'login' });
+      return sendJson(res, { otp: true }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/gtb/api/verify') {
+      const current = session(req);
+      const { otp: code } = await readJson(req);
+      if (!current || !otp.verify({ bank: 'axis', account: current.user.loginId, purpose: 'login', otp: code })) {
+        return sendJson(res, { error: 'Invalid OTP' }, 401), true;
+      }
+      current.verified = true;
+      return sendJson(res, { ok: true }), true;
+    }
+
+    const current = session(req);
+    if (!current?.verified) return sendJson(res, { error: 'Session expired' }, 401), true;
+    const { user } = current;
+
+    if (req.method === 'GET' && pathname === '/gtb/api/session') return sendJson(res, { loginId: user.loginId }), true;
+
+    if (req.method === 'POST' && pathname === '/gtb/api/logout') {
+      sessions.delete(readCookies(req)[SESSION_COOKIE]);
+      return sendJson(res, { ok: true }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/gtb/api/upload') {
+      const { fileName, content } = await readJson(req);
+      const { payments, errors } = checkBulkFile(Buffer.from(content, 'base64'));
+      if (errors.length) {
+        console.log(`📤 [mock axis] ${fileName}: validation failed (${errors[0]})`);
+        return sendJson(res, { error: errors.slice(0, 5).join('; ') }, 422), true;
+      }
+      const upload = { id: String(uploads.length + 1), fileName, payments, uploadedBy: user.loginId, status: 'validated' };
+      uploads.push(upload);
+      console.log(`📤 [mock axis] ${fileName}: validation completed (${payments.length} payments)`);
+      const total = payments.reduce((s, p) => s + Number(p.Amount), 0).toFixed(2);
+      return sendJson(res, { id: upload.id, fileName, count: payments.length, total }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/gtb/api/pay/request') {
+      otp.issue({ bank: 'axis', account: user.loginId, phone: user.phone, purpose: 'transaction' });
+      return sendJson(res, { otp: true }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/gtb/api/pay') {
+      const { uploadId, otp: code } = await readJson(req);
+      const upload = uploads.find(u => u.id === uploadId && u.status === 'validated');
+      if (!upload) return sendJson(res, { error: 'Nothing to pay' }, 409), true;
+      if (!otp.verify({ bank: 'axis', account: user.loginId, purpose: 'transaction', otp: code })) {
+        return sendJson(res, { error: 'Invalid OTP' }, 401), true;
+      }
+      upload.status = 'paid';
+      const paidAt = new Date();
+      for (const p of upload.payments) {
+        const failed = FAIL_NAME_PATTERN.test(p['Beneficiary Name']);
+        transactions.push({
+          paidAt,
+          name: p['Beneficiary Name'],
+          account: p['Beneficiary Account Number'],
+          ifsc: p['Beneficiary IFSC'],
+          amount: Number(p.Amount),
+          utr: failed ? '' : nextRef('AXISN'),
+          crn: p.CRN,
+          fileName: upload.fileName,
+          status: failed ? 'Failed' : 'Successful',
+          mode: p['Payment Method'],
+        });
+      }
+      console.log(`✅ [mock axis] ${upload.fileName} paid (${upload.payments.length} payments)`);
+      return sendJson(res, { ok: true }), true;
+    }
+
+    if (req.method === 'GET' && pathname === '/gtb/api/report') {
+      return sendJson(res, { count: inRange(url.searchParams.get('from'), url.searchParams.get('to')).length }), true;
+    }
+
+    if (req.method === 'GET' && pathname === '/gtb/api/report.xls') {
+      const from = url.searchParams.get('from');
+      const to = url.searchParams.get('to');
+      const buffer = reportWorkbook(inRange(from, to), {
+        from: new Date(`${from}T00:00:00`),
+        to: new Date(`${to}T00:00:00`),
+        corporateId: user.corporateId,
+      });
+      return sendDownload(res, buffer, `TransactionAnalysisReport_${from}_${to}.xls`), true;
+    }
+
+    sendJson(res, { error: 'Not found' }, 404);
+    return true;
+  }
+
+  return { handle, state: { uploads, transactions } };
+}
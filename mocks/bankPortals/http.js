@@ -0,0 +1,69 @@
+/**
+ * Small helpers shared by the mock portals (plain `http`, no framework).
+ */
+
+export function sendHtml(res, html) {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+export function sendJson(res, body, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a file as a download (`Content-Disposition: attachment`).
+ * @param {import('http').ServerResponse} res
+ * @param {Buffer} buffer - File contents.
+ * @param {string} fileName - Suggested file name.
+ */
+export function sendDownload(res, buffer, fileName) {
+  res.writeHead(200, {
+    'Content-Type': 'application/vnd.ms-excel',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': buffer.length,
+  });
+  res.end(buffer);
+}
+
+export async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : {};
+}
+
+export function readCookies(req) {
+  return Object.fromEntries((req.headers.cookie || '').split(';').map(c => c.trim().split('=')).filter(([k]) => k));
+}
+
+export function setCookie(res, name, value) {
+  res.setHeader('Set-Cookie', `${name}=${value}; Path=/; HttpOnly; SameSite=Lax`);
+}
+
+export const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[c]);
+
+/**
+ * Formats a date as DD-MM-YYYY, the way both banks print dates in their reports.
+ */
+export const dashedDate = date => date.toLocaleDateString('en-GB').replace(/\//g, '-');
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ */
+export const isoDay = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+let sequence = 0;
+
+/**
+ * Bank-style reference numbers (UTRs and the like); unique within a server run.
+ * @param {string} prefix - e.g. 'KKBKH'.
+ * @returns {string}
+ */
+export function nextRef(prefix) {
+  sequence += 1;
+  return `${prefix}${Date.now().toString().slice(-8)}${String(sequence).padStart(4, '0')}`;
+}
@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import Papa from 'papaparse';
+import xlsx from 'xlsx';
+import { MOCK_USERS, REJECT_NAME_PATTERN, FAIL_NAME_PATTERN } from './users.js';
+import { sendHtml, sendJson, sendDownload, readJson, readCookies, setCookie, dashedDate, isoDay, nextRef } from './http.js';
+
+const SESSION_COOKIE = 'knb2_session';
+
+// Column order of the "Payments EXCEL/CSV UPLOAD" layout (see KOTAK_PAYMENT_TEMPLATE).
+const COLUMNS = 14;
+
+const LOGIN_PAGE = `<!doctype html>
+<html><head><title>Kotak Net Banking (mock)</title></head>
+<body>
+<app-header>
+  <ul id="userMenu" hidden><li role="listitem" id="userItem"><span id="initials"></span></li></ul>
+  <a href="#" id="logout" hidden>Log out</a>
+</app-header>
+<main id="login">
+  <h1>Kotak Mahindra Bank</h1>
+  <input id="crn" aria-label="CRN, Username or Card Number">
+  <input id="password" type="password" role="textbox" aria-label="Password">
+  <div id="otpBox" hidden><input id="otp" role="textbox" aria-label="otpMobile" maxlength="6"></div>
+  <button id="secure">Secure login</button>
+  <p id="error" role="alert"></p>
+</main>
+<main id="home" hidden>
+  <nav><a href="#" id="cms">CMS NetIT-New</a></nav>
+  <iframe name="knb2ContainerFrame" id="container" style="width:100%;height:900px;border:0"></iframe>
+</main>
+<script>
+  const $ = id => document.getElementById(id);
+  let otpStep = false;
+  async function post(url, body) {
+    const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { ok: res.ok, body: await res.json() };
+  }
+  $('secure').addEventListener('click', async () => {
+    $('error').textContent = '';
+    if (!otpStep) {
+      const r = await post('/knb2/api/login', { crn: $('crn').value, password: $('password').value });
+      if (!r.ok) { $('error').textContent = r.body.error; return; }
+      otpStep = true;
+      $('otpBox').hidden = false;
+      return;
+    }
+    const r = await post('/knb2/api/verify', { otp: $('otp').value });
+    if (!r.ok) { $('error').textContent = r.body.error; return; }
+    $('login').hidden = true;
+    $('home').hidden = false;
+    $('userMenu').hidden = false;
+    $('initials').textContent = r.body.initials;
+  });
+  $('cms').addEventListener('click', e => { e.preventDefault(); $('container').src = '/knb2/cms'; });
+  $('userItem').addEventListener('click', () => { $('logout').hidden = false; });
+  $('logout').addEventListener('click', async e => {
+    e.preventDefault();
+    await post('/knb2/api/logout', {});
+    location.reload();
+  });
+</script>
+</body></html>`;
+
+// The CMS NetIT app inside knb2ContainerFrame. Ids and labels follow the real Ext JS screens.
+const CMS_PAGE = `<!doctype html>
+<html><head><title>CMS NetIT</title>
+<style>
+  .menu { border: 1px solid #ccc; padding: 4px; }
+  .x-item-disabled { color: #aaa; pointer-events: none; }
+  .x-datepicker { border: 1px solid #999; display: inline-block; padding: 4px; }
+  .x-datepicker-prevday a, .x-datepicker-nextday a { color: #bbb; }
+</style></head>
+<body>
+<nav>
+  <a href="#" id="navPayments">Payments</a>
+  <span id="subnav" hidden><a href="#" id="navUpload">File Upload</a> <a href="#" id="navCenter">Payment Center</a></span>
+</nav>
+<section id="main"></section>
+<input type="file" id="fileInput" hidden>
+<script>
+  const $ = id => document.getElementById(id);
+  const main = $('main');
+  const esc = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const pc = { date: null, statuses: ['All'], files: null, page: 0, pageSize: 5, pickerMonth: null };
+  let selectedFile = null;
+
+  async function api(url, body) {
+    const res = await fetch(url, body === undefined ? {} : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { ok: res.ok, body: await res.json() };
+  }
+
+  function moreMenu(index, links) {
+    return '<div class="menu" id="menu_' + index + '" hidden>' + links.map(l => '<a href="#" data-action="' + l + '" data-index="' + index + '">' + l + '</a>').join(' ') + '</div>';
+  }
+
+  function bindMoreButtons(files, onAction) {
+    main.querySelectorAll('[id^="btnMore_"]').forEach(btn => btn.addEventListener('click', () => {
+      $('menu_' + btn.dataset.index).hidden = false;
+    }));
+    main.querySelectorAll('[data-action]').forEach(a => a.addEventListener('click', e => {
+      e.preventDefault();
+      onAction(a.dataset.action, files[Number(a.dataset.index)]);
+    }));
+  }
+
+  // ——— Payments: files waiting for authorisation ———
+  async function showPending() {
+    const { body: files } = await api('/knb2/api/pending');
+    main.innerHTML = '<h2>Pending Authorisation</h2><a href="#" aria-label="Refresh" id="refresh">⟳</a><table><tbody>'
+      + files.map((f, i) => '<tr role="row"><td>' + esc(f.fileName) + '</td><td>' + f.count + ' records</td><td>' + esc(f.uploadedBy)
+        + '</td><td><button id="btnMore_' + i + '" data-index="' + i + '">More</button>' + moreMenu(i, ['Approve']) + '</td></tr>').join('')
+      + '</tbody></table>';
+    $('refresh').addEventListener('click', e => { e.preventDefault(); showPending(); });
+    bindMoreButtons(files, (action, file) => showApprove(file));
+  }
+
+  function showApprove(file) {
+    selectedFile = file;
+    main.innerHTML = '<h2>Approve ' + esc(file.fileName) + '</h2><p>' + file.count + ' records, INR ' + file.total + '</p>'
+      + '<button id="approveAll">Approve All</button><button id="continue" hidden>Continue</button>'
+      + '<div id="AuthDialog" hidden><div id="AuthDialog-innerCt"><label for="token">Enter OTP</label><input id="token"></div><button id="submit">Submit</button></div>'
+      + '<p id="result" role="status"></p><a href="#" aria-label="Refresh" id="refresh">⟳</a>';
+    $('refresh').addEventListener('click', e => e.preventDefault());
+    $('approveAll').addEventListener('click', () => { $('continue').hidden = false; });
+    $('continue').addEventListener('click', async () => {
+      const r = await api('/knb2/api/approve/request', { fileId: selectedFile.id });
+      if (!r.ok) { $('result').textContent = r.body.error; return; }
+      $('AuthDialog').hidden = false;
+    });
+    $('submit').addEventListener('click', async () => {
+      const r = await api('/knb2/api/approve', { fileId: selectedFile.id, otp: $('token').value });
+      $('result').textContent = r.ok ? 'Transaction approved successfully' : r.body.error;
+      $('AuthDialog').hidden = true;
+    });
+  }
+
+  // ——— File Upload ———
+  async function showUploads() {
+    const { body: files } = await api('/knb2/api/uploads');
+    main.innerHTML = '<h2>File Upload</h2><button id="openUpload">File Upload</button> <a href="#" aria-label="Refresh" id="refresh">⟳</a>'
+      + '<div id="uploadForm" hidden>'
+      + '<div id="clientMapCode-niceSelect"><span id="mapLabel">Select</span><ul id="mapList" hidden><li role="listitem" aria-label="Payments EXCEL/CSV UPLOAD">Payments EXCEL/CSV UPLOAD</li></ul></div>'
+      + '<button id="selectFile">Select File</button> <span id="chosen"></span> <button id="upload">Upload</button></div>'
+      + '<table><tbody>' + files.map((f, i) => '<tr role="row"><td>' + esc(f.fileName) + '</td><td class="x-grid-cell-col_tskslRemarks">' + esc(f.remark)
+        + '</td><td><button id="btnMore_' + i + '" data-index="' + i + '">More</button>' + moreMenu(i, f.rejectedCount ? ['Rejected Records'] : []) + '</td></tr>').join('')
+      + '</tbody></table>';
+    $('refresh').addEventListener('click', e => { e.preventDefault(); showUploads(); });
+    $('openUpload').addEventListener('click', () => { $('uploadForm').hidden = false; });
+    $('mapLabel').addEventListener('click', () => { $('mapList').hidden = false; });
+    $('mapList').querySelector('li').addEventListener('click', () => { $('mapLabel').textContent = 'Payments EXCEL/CSV UPLOAD'; $('mapList').hidden = true; });
+    $('selectFile').addEventListener('click', () => $('fileInput').click());
+    $('upload').addEventListener('click', async () => {
+      const file = $('fileInput').files[0];
+      if (!file) return;
+      await api('/knb2/api/upload', { fileName: file.name, mapping: $('mapLabel').textContent, content: await file.text() });
+      $('fileInput').value = '';
+      showUploads();
+    });
+    bindMoreButtons(files, (action, file) => showRejected(file));
+  }
+
+  async function showRejected(file) {
+    const { body: rows } = await api('/knb2/api/rejected/' + file.id);
+    main.innerHTML = '<h2>Rejected Records – ' + esc(file.fileName) + '</h2>'
+      + '<a href="#" title="Download" id="download">⬇</a><div class="menu" id="formats" hidden><a href="/knb2/api/rejected/' + file.id + '.xls">XLS</a></div>'
+      + '<table><tbody>' + rows.map(r => '<tr role="row"><td>' + esc(r.ref) + '</td><td>' + esc(r.reason) + '</td></tr>').join('') + '</tbody></table>';
+    $('download').addEventListener('click', e => { e.preventDefault(); $('formats').hidden = false; });
+  }
+
+  // ——— Payment Center ———
+  function showCenter() {
+    main.innerHTML = '<h2>Payment Center</h2><span id="tool-1074" role="button">Filter</span>'
+      + '<div id="filters" hidden>'
+      + '<input placeholder="All" id="statusInput" readonly>'
+      + '<div id="statusList" hidden><a href="#" id="uncheckAllLink">Uncheck All</a><ul role="listbox">'
+      + ['Processed', 'Pending', 'Rejected'].map(s => '<li role="option" aria-label="' + s + '"><span>' + s + '</span></li>').join('') + '</ul></div>'
+      + '<span id="component-1047" role="button">📅 <span id="dateLabel">' + (pc.date ? pc.date.toLocaleDateString('en-GB') : 'Select date') + '</span></span>'
+      + '<div id="picker"></div><button id="view">View</button></div>'
+      + '<table><tbody id="gridview-1102-body"></tbody></table>'
+      + '<a role="button" data-qtip="Next Page" id="next" class="x-item-disabled">Next ›</a>';
+    $('tool-1074').addEventListener('click', () => { $('filters').hidden = false; });
+    $('statusInput').addEventListener('click', () => { $('statusList').hidden = false; });
+    $('uncheckAllLink').addEventListener('click', e => { e.preventDefault(); pc.statuses = []; $('statusInput').value = ''; });
+    main.querySelectorAll('[role="option"]').forEach(o => o.addEventListener('click', () => {
+      pc.statuses.push(o.getAttribute('aria-label'));
+      $('statusInput').value = pc.statuses.join(', ');
+    }));
+    $('component-1047').addEventListener('click', () => {
+      const base = pc.date || new Date();
+      pc.pickerMonth = new Date(base.getFullYear(), base.getMonth(), 1);
+      renderPicker();
+    });
+    $('view').addEventListener('click', async () => {
+      const { body } = await api('/knb2/api/payment-center?date=' + isoDay(pc.date || new Date()) + '&status=' + encodeURIComponent(pc.statuses.join(',')));
+      pc.files = body;
+      pc.page = 0;
+      renderGrid();
+    });
+    $('next').addEventListener('click', e => { e.preventDefault(); pc.page++; renderGrid(); });
+    if (pc.files) renderGrid();
+  }
+
+  function isoDay(d) {
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+  }
+
+  function renderPicker() {
+    const m = pc.pickerMonth;
+    const first = new Date(m.getFullYear(), m.getMonth(), 1);
+    const start = new Date(first.getFullYear(), first.getMonth(), 1 - first.getDay());
+    let cells = '';
+    for (let i = 0; i < 42; i++) {
+      const d = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+      const cls = d.getMonth() < m.getMonth() || d.getFullYear() < m.getFullYear() ? ' x-datepicker-prevday'
+        : d.getMonth() > m.getMonth() || d.getFullYear() > m.getFullYear() ? ' x-datepicker-nextday' : ' x-datepicker-active';
+      if (i % 7 === 0) cells += '<tr>';
+      cells += '<td class="x-datepicker-cell' + cls + '"><a href="#" data-day="' + isoDay(d) + '">' + d.getDate() + '</a></td>';
+      if (i % 7 === 6) cells += '</tr>';
+    }
+    $('picker').innerHTML = '<div class="x-datepicker"><a href="#" class="x-datepicker-prev">‹</a>'
+      + '<span class="x-datepicker-month">' + MONTHS[m.getMonth()] + ' ' + m.getFullYear() + '</span>'
+      + '<a href="#" class="x-datepicker-next">›</a><table>' + cells + '</table></div>';
+    $('picker').querySelector('.x-datepicker-prev').addEventListener('click', e => { e.preventDefault(); pc.pickerMonth = new Date(m.getFullYear(), m.getMonth() - 1, 1); renderPicker(); });
+    $('picker').querySelector('.x-datepicker-next').addEventListener('click', e => { e.preventDefault(); pc.pickerMonth = new Date(m.getFullYear(), m.getMonth() + 1, 1); renderPicker(); });
+    $('picker').querySelectorAll('[data-day]').forEach(a => a.addEventListener('click', e => {
+      e.preventDefault();
+      const [y, mo, d] = a.dataset.day.split('-').map(Number);
+      pc.date = new Date(y, mo - 1, d);
+      $('dateLabel').textContent = pc.date.toLocaleDateString('en-GB');
+      $('picker').innerHTML = '';
+    }));
+  }
+
+  function renderGrid() {
+    const files = pc.files.slice(pc.page * pc.pageSize, (pc.page + 1) * pc.pageSize);
+    $('gridview-1102-body').innerHTML = files.map((f, i) => '<tr class="x-grid-row" role="row"><td>' + esc(f.fileName) + '</td><td>' + f.count
+      + '</td><td><button id="btnMore_' + i + '" data-index="' + i + '">More</button>' + moreMenu(i, ['View Record']) + '</td></tr>').join('');
+    $('next').className = (pc.page + 1) * pc.pageSize < pc.files.length ? '' : 'x-item-disabled';
+    bindMoreButtons(files, (action, file) => showRecords(file));
+  }
+
+  async function showRecords(file) {
+    main.innerHTML = '<h2>Records – ' + esc(file.fileName) + '</h2>'
+      + '<a href="#" title="Download Payment Grid Details" id="download">⬇</a>'
+      + '<div class="menu" id="formats" hidden><a href="/knb2/api/records/' + file.id + '.xls">XLS</a></div>';
+    $('download').addEventListener('click', e => { e.preventDefault(); $('formats').hidden = false; });
+  }
+
+  $('navPayments').addEventListener('click', e => { e.preventDefault(); $('subnav').hidden = false; showPending(); });
+  $('navUpload').addEventListener('click', e => { e.preventDefault(); showUploads(); });
+  $('navCenter').addEventListener('click', e => { e.preventDefault(); showCenter(); });
+</script>
+</body></html>`;
+
+/**
+ * Parses and checks an uploaded payment CSV the way Kotak does: each record is
+ * accepted or rejected on its own.
+ * @param {string} content - CSV text.
+ * @returns {{records: Array<Object>, rejected: Array<Object>}}
+ */
+function checkPaymentFile(content) {
+  const rows = Papa.parse(content.trim(), { skipEmptyLines: true }).data;
+  const records = [];
+  const rejected = [];
+  for (const [index, cells] of rows.entries()) {
+    const [, , paymentType, ref, , , debitAccount, amount, , , name, , ifsc, account] = cells;
+    const record = { line: index + 1, ref, paymentType, debitAccount, amount: Number(amount), name, ifsc, account };
+    let reason = '';
+    if (cells.length !== COLUMNS) reason = `Invalid number of columns (${cells.length})`;
+    else if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) reason = 'Invalid IFSC code';
+    else if (!/^\d{9,18}$/.test(account)) reason = 'Invalid beneficiary account number';
+    else if (!(record.amount > 0)) reason = 'Invalid amount';
+    else if (!['IMPS', 'NEFT', 'RTGS'].includes(paymentType)) reason = 'Invalid payment type';
+    else if (REJECT_NAME_PATTERN.test(name)) reason = 'Beneficiary name mismatch';
+    if (reason) rejected.push({ ...record, reason });
+    else records.push(record);
+  }
+  return { records, rejected };
+}
+
+/**
+ * Builds the Payment Grid Details XLS of an approved file, with the columns
+ * `KOTAK_STATEMENT_LAYOUT` reads.
+ */
+function recordsWorkbook(file) {
+  const rows = file.results.map(r => ({
+    'Sending Account Number': r.debitAccount,
+    'Receiver Name': r.name,
+    'Receiver Code': '',
+    'Product Code': 'VPAY',
+    'Package Code': r.paymentType,
+    'IFSC Code': r.ifsc,
+    'Receiver Account Number': r.account,
+    'Amount': r.amount,
+    'Instrument Date': dashedDate(file.approvedAt),
+    'Effective Date': dashedDate(file.approvedAt),
+    'UTR SrNo': r.utr,
+    'Instrument No': r.instrumentNo,
+    'Instrument Status': r.status,
+    'Maker': file.uploadedBy,
+    'Maker DateTime': file.uploadedAt.toLocaleString('en-GB'),
+    'Checker 1': file.approvedBy,
+    'Checker 1 DateTime': file.approvedAt.toLocaleString('en-GB'),
+    'Checker 2': '',
+    'Checker 2 DateTime': '',
+    'Sent By': 'SYSTEM',
+    'Sent By DateTime': file.approvedAt.toLocaleString('en-GB'),
+    'Instrument Payment Ref No': r.instrumentRef,
+    'Batch Payment Ref No': file.batchRef,
+    'Payment Details': r.ref,
+    'Payment Details 2': '',
+    'Payment Details 3': '',
+    'Payment Details 4': '',
+    'Host Processing Date & Time ': file.approvedAt.toLocaleString('en-GB'),
+    'Reject Remarks': r.rejectRemark,
+    'Debit Type': 'Single',
+    'Verified Beneficiary Name': r.status === 'Processed' ? r.name.toUpperCase() : '',
+  }));
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), 'Payment Details');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'biff8' });
+}
+
+function rejectedWorkbook(file) {
+  const rows = file.rejected.map(r => ({
+    'Line No': r.line,
+    'Payment Ref No': r.ref,
+    'Beneficiary Name': r.name,
+    'Beneficiary Account': r.account,
+    'IFSC': r.ifsc,
+    'Amount': r.amount,
+    'Reject Reason': r.reason,
+  }));
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), 'Rejected Records');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'biff8' });
+}
+
+/**
+ * Mock of Kotak knb2 login and the CMS NetIT screens the Kotak adapter drives.
+ * @param {Object} options
+ * @param {ReturnType<import('./otp.js').createOtpStore>} options.otp - OTP source.
+ * @returns {{handle: Function, state: Object}} `handle(req, res, url)` resolves true when it served the request.
+ */
+export function createKotakPortal({ otp }) {
+  const sessions = new Map(); // token → { user, verified }
+  const files = [];
+
+  const summary = f => ({
+    id: f.id,
+    fileName: f.fileName,
+    remark: f.remark,
+    count: f.records.length,
+    total: f.records.reduce((s, r) => s + r.amount, 0).toFixed(2),
+    rejectedCount: f.rejected.length,
+    uploadedBy: f.uploadedBy,
+  });
+
+  function sessionUser(req) {
+    const session = sessions.get(readCookies(req)[SESSION_COOKIE]);
+    return session?.verified ? session.user : null;
+  }
+
+  function approve(file, user) {
+    file.status = 'approved';
+    file.approvedAt = new Date();
+    file.approvedBy = user.crn;
+    file.batchRef = nextRef('BPR');
+    file.results = file.records.map(r => {
+      const failed = FAIL_NAME_PATTERN.test(r.name);
+      return {
+        ...r,
+        status: failed ? 'Rejected' : 'Processed',
+        rejectRemark: failed ? 'Beneficiary account closed' : '',
+        utr: failed ? '' : nextRef('KKBKH'),
+        instrumentNo: nextRef('IN'),
+        instrumentRef: nextRef('KMBL'),
+      };
+    });
+  }
+
+  async function handle(req, res, url) {
+    const { pathname } = url;
+    if (!pathname.startsWith('/knb2')) return false;
+
+    if (req.method === 'GET' && (pathname === '/knb2' || pathname === '/knb2/')) return sendHtml(res, LOGIN_PAGE), true;
+
+    if (req.method === 'POST' && pathname === '/knb2/api/login') {
+      const { crn, password } = await readJson(req);
+      const user = MOCK_USERS.kotak.find(u => u.crn === crn && u.password === password);
+      if (!user) return sendJson(res, { error: 'Invalid CRN or password' }, 401), true;
+      const token = crypto.randomUUID();
+      sessions.set(token, { user, verified: false });
+      setCookie(res, SESSION_COOKIE, token);
+      otp.issue({ bank: 'kotak', account: user.crn, phone: user.phone, purpose: 'login' });
+      return sendJson(res, { otp: true }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/knb2/api/verify') {
+      const session = sessions.get(readCookies(req)[SESSION_COOKIE]);
+      const body = await readJson(req);
+      if (!session || !otp.verify({ bank: 'kotak', account: session.user.crn, purpose: 'login', otp: body.otp })) {
+        return sendJson(res, { error: 'Invalid OTP' }, 401), true;
+      }
+      session.verified = true;
+      return sendJson(res, { initials: session.user.initials }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/knb2/api/logout') {
+      sessions.delete(readCookies(req)[SESSION_COOKIE]);
+      return sendJson(res, { ok: true }), true;
+    }
+
+    const user = sessionUser(req);
+    if (!user) return sendJson(res, { error: 'Session expired' }, 401), true;
+
+    if (req.method === 'GET' && pathname === '/knb2/cms') return sendHtml(res, CMS_PAGE), true;
+
+    if (req.method === 'GET' && pathname === '/knb2/api/uploads') return sendJson(res, files.map(summary).reverse()), true;
+
+    if (req.method === 'GET' && pathname === '/knb2/api/pending') {
+      return sendJson(res, files.filter(f => f.status === 'pending').map(summary)), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/knb2/api/upload') {
+      const { fileName, mapping, content } = await readJson(req);
+      const file = { id: String(files.length + 1), fileName, uploadedBy: user.crn, uploadedAt: new Date(), records: [], rejected: [] };
+      if (!/Payments.*EXCEL.*CSV.*UPLOAD/i.test(mapping || '')) {
+        file.status = 'error';
+        file.remark = 'Error - File mapping not selected';
+      } else if (files.some(f => f.fileName === fileName)) {
+        file.status = 'error';
+        file.remark = 'Error - Duplicate file name';
+      } else {
+        Object.assign(file, checkPaymentFile(content));
+        file.status = file.records.length ? 'pending' : 'rejected';
+        file.remark = !file.rejected.length ? 'File Uploaded Successfully'
+          : file.records.length ? 'File Uploaded Successfully with Rejected Records' : 'Rejected Records - no valid records in file';
+      }
+      files.push(file);
+      console.log(`📤 [mock kotak] ${fileName}: ${file.remark}`);
+      return sendJson(res, summary(file)), true;
+    }
+
+    const rejectedMatch = pathname.match(/^\/knb2\/api\/rejected\/(\d+)(\.xls)?$/);
+    if (req.method === 'GET' && rejectedMatch) {
+      const file = files.find(f => f.id === rejectedMatch[1]);
+      if (!file) return sendJson(res, { error: 'Unknown file' }, 404), true;
+      if (rejectedMatch[2]) return sendDownload(res, rejectedWorkbook(file), `Rejected_${file.fileName}.xls`), true;
+      return sendJson(res, file.rejected), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/knb2/api/approve/request') {
+      const { fileId } = await readJson(req);
+      const file = files.find(f => f.id === fileId && f.status === 'pending');
+      if (!file) return sendJson(res, { error: 'File is not pending authorisation' }, 409), true;
+      if (file.uploadedBy === user.crn) return sendJson(res, { error: 'Maker cannot authorise own file' }, 403), true;
+      otp.issue({ bank: 'kotak', account: user.crn, phone: user.phone, purpose: 'transaction' });
+      return sendJson(res, { otp: true }), true;
+    }
+
+    if (req.method === 'POST' && pathname === '/knb2/api/approve') {
+      const { fileId, otp: code } = await readJson(req);
+      const file = files.find(f => f.id === fileId && f.status === 'pending');
+      if (!file) return sendJson(res, { error: 'File is not pending authorisation' }, 409), true;
+      if (!otp.verify({ bank: 'kotak', account: user.crn, purpose: 'transaction', otp: code })) {
+        return sendJson(res, { error: 'Invalid OTP' }, 401), true;
+      }
+      approve(file, user);
+      console.log(`✅ [mock kotak] ${file.fileName} approved by ${user.crn}`);
+      return sendJson(res, summary(file)), true;
+    }
+
+    if (req.method === 'GET' && pathname === '/knb2/api/payment-center') {
+      const day = url.searchParams.get('date');
+      return sendJson(res, files.filter(f => f.status === 'approved' && isoDay(f.approvedAt) === day).map(summary)), true;
+    }
+
+    const recordsMatch = pathname.match(/^\/knb2\/api\/records\/(\d+)\.xls$/);
+    if (req.method === 'GET' && recordsMatch) {
+      const file = files.find(f => f.id === recordsMatch[1] && f.status === 'approved');
+      if (!file) return sendJson(res, { error: 'Unknown file' }, 404), true;
+      return sendDownload(res, recordsWorkbook(file), `PaymentDetails_${file.id}.xls`), true;
+    }
+
+    sendJson(res, { error: 'Not found' }, 404);
+    return true;
+  }
+
+  return { handle, state: { files } };
+}
@@ -0,0 +1,83 @@
+// How long a mock OTP stays usable, matching the real SMS validity.
+const OTP_VALIDITY_MS = Number(process.env.OTP_VALIDITY_MS) || 3 * 60 * 1000;
+
+/**
+ * Deterministic PRNG (mulberry32), so a given seed always yields the same OTP sequence.
+ * @param {number} seed - Any 32-bit integer.
+ * @returns {Function} Returns the next float in [0, 1).
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * In-memory OTP source for the mock portals. The portals issue an OTP whenever
+ * a real bank would send an SMS; automation reads it back over HTTP (see
+ * `OTP_SOURCE_URL` in `utils/fetchOtp.js`), consuming it like the `otps` collection does.
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed of the OTP sequence.
+ * @returns {{issue: Function, take: Function, verify: Function, list: Function}}
+ */
+export function createOtpStore({ seed = 1 } = {}) {
+  const random = mulberry32(seed);
+  const otps = [];
+
+  /**
+   * Sends (records) a new OTP.
+   * @param {{bank: string, account: string, phone: string, purpose: string}} target
+   * @returns {Object} The OTP record.
+   */
+  function issue({ bank, account, phone, purpose }) {
+    const record = {
+      bank,
+      account,
+      phone,
+      purpose,
+      otp: String(Math.floor(random() * 1e6)).padStart(6, '0'),
+      createdAt: new Date(),
+      consumedAt: null,
+    };
+    otps.push(record);
+    console.log(`📨 [mock] ${bank} ${purpose} OTP for ${account}: ${record.otp}`);
+    return record;
+  }
+
+  /**
+   * Hands out the newest unconsumed OTP matching a request and marks it consumed.
+   * @param {{bank?: string, account?: string, purpose?: string, after?: number}} request
+   * @returns {Object|null} The OTP record.
+   */
+  function take({ bank, account, purpose, after = 0 }) {
+    const now = Date.now();
+    const freshSince = Math.max(Number(after) || 0, now - OTP_VALIDITY_MS);
+    const match = otps
+      .filter(o => !o.consumedAt
+        && (!bank || o.bank === bank)
+        && (!purpose || o.purpose === purpose)
+        && (!account || o.account === account || o.phone === account)
+        && o.createdAt.getTime() > freshSince)
+      .at(-1);
+    if (match) match.consumedAt = new Date();
+    return match || null;
+  }
+
+  /**
+   * Checks what a user typed against the OTPs sent to them for a purpose.
+   * @param {{bank: string, account: string, purpose: string, otp: string}} attempt
+   * @returns {boolean} True when the OTP was sent to that user and is still valid.
+   */
+  function verify({ bank, account, purpose, otp }) {
+    const now = Date.now();
+    return otps.some(o => o.bank === bank && o.account === account && o.purpose === purpose
+      && o.otp === String(otp).trim() && now - o.createdAt.getTime() <= OTP_VALIDITY_MS);
+  }
+
+  return { issue, take, verify, list: () => otps.slice() };
+}
@@ -0,0 +1,56 @@
+import http from 'http';
+import { createOtpStore } from './otp.js';
+import { createKotakPortal } from './kotak.js';
+import { createAxisPortal } from './axis.js';
+import { sendJson } from './http.js';
+
+/**
+ * Starts the local stand-in for Kotak knb2/CMS NetIT and Axis GTB, plus the
+ * seeded OTP source the automation reads from (`GET /otp/next`).
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on; 0 picks a free one.
+ * @param {number} [options.seed] - Seed of the OTP sequence.
+ * @returns {Promise<{server: import('http').Server, url: string, otp: Object, kotak: Object, axis: Object}>}
+ */
+export async function startMockBankServer({ port = 4010, seed = 1 } = {}) {
+  const otp = createOtpStore({ seed });
+  const kotak = createKotakPortal({ otp });
+  const axis = createAxisPortal({ otp });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname === '/health') return sendJson(res, { ok: true });
+
+      if (url.pathname === '/otp/next' && req.method === 'GET') {
+        const record = otp.take({
+          bank: url.searchParams.get('bank') || undefined,
+          account: url.searchParams.get('account') || undefined,
+          purpose: url.searchParams.get('purpose') || undefined,
+          after: url.searchParams.get('after'),
+        });
+        return record ? sendJson(res, { otp: record.otp, createdAt: record.createdAt }) : sendJson(res, { error: 'No OTP' }, 404);
+      }
+
+      if (await kotak.handle(req, res, url)) return;
+      if (await axis.handle(req, res, url)) return;
+      sendJson(res, { error: 'Not found' }, 404);
+    } catch (error) {
+      console.error(`❌ [mock] ${req.method} ${url.pathname}:`, error);
+      if (!res.headersSent) sendJson(res, { error: error.message }, 500);
+    }
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  console.log(`🏦 Mock bank portals on ${url} (OTP seed ${seed})`);
+  return { server, url, otp, kotak, axis };
+}
+
+// `node mocks/bankPortals/server.js` – used as the Playwright webServer.
+if (process.argv[1] && import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  startMockBankServer({
+    port: Number(process.env.MOCK_BANK_PORT) || 4010,
+    seed: Number(process.env.MOCK_OTP_SEED) || 1,
+  });
+}
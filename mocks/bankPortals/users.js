@@ -0,0 +1,19 @@
+/**
+ * Net banking users known to the mock portals. `playwright.mock.config.js`
+ * points the spec credentials at these.
+ */
+export const MOCK_USERS = {
+  kotak: [
+    { crn: 'MOCKA001', password: 'mock-pass-a', phone: '9000000001', initials: 'AK', role: 'maker' },
+    { crn: 'MOCKB001', password: 'mock-pass-b', phone: '9000000002', initials: 'AK', role: 'checker' },
+  ],
+  axis: [
+    { corporateId: 'MOCKCORP', loginId: 'MOCKUSER', password: 'mock-pass-axis', phone: '9000000003' },
+  ],
+};
+
+// Beneficiary names matching this are rejected by the mock banks, so rejection paths can be exercised.
+export const REJECT_NAME_PATTERN = new RegExp(process.env.MOCK_REJECT_PATTERN || 'REJECT', 'i');
+
+// Beneficiary names matching this are accepted but fail at the bank (shows up in statements).
+export const FAIL_NAME_PATTERN = new RegExp(process.env.MOCK_FAIL_PATTERN || 'FAIL', 'i');
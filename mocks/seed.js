@@ -0,0 +1,49 @@
+import { MongoClient } from 'mongodb';
+
+/**
+ * Payouts the mock full cycle pays out. The first few go through Axis (it runs
+ * first with a small batch size), the rest through Kotak. Names matching
+ * REJECT / FAIL exercise the rejection and failed-payment paths of the mock banks.
+ */
+export const MOCK_PAYOUTS = [
+  { payoutId: 'MOCK-AX-001', amount: 1500, beneficiary: { name: 'Asha Verma', ifsc: 'HDFC0001234', account: '50100012345678' } },
+  { payoutId: 'MOCK-AX-002', amount: 24999.5, beneficiary: { name: 'Ravi Kumar', ifsc: 'ICIC0000456', account: '123456789012' } },
+  { payoutId: 'MOCK-AX-003', amount: 800, beneficiary: { name: 'FAIL Closed Account', ifsc: 'SBIN0001111', account: '30000000001' } },
+  { payoutId: 'MOCK-KT-001', amount: 2500, beneficiary: { name: 'Meena Iyer', ifsc: 'UTIB0000123', account: '918010012345678' } },
+  { payoutId: 'MOCK-KT-002', amount: 650000, beneficiary: { name: 'Sharma Traders', ifsc: 'HDFC0004321', account: '50200098765432' } },
+  { payoutId: 'MOCK-KT-003', amount: 999, beneficiary: { name: 'REJECT Name Mismatch', ifsc: 'KKBK0000958', account: '9912345678' } },
+  { payoutId: 'MOCK-KT-004', amount: 4200, beneficiary: { name: 'FAIL Frozen Account', ifsc: 'PUNB0123400', account: '1234000100023456' } },
+  { payoutId: 'MOCK-KT-005', amount: 12000, beneficiary: { name: 'Joseph Dsouza', ifsc: 'CNRB0001234', account: '0123456789' } },
+];
+
+// Collections the specs write to; emptied before every mock run.
+const COLLECTIONS = ['payouts', 'batches', 'statement_fetches', 'temppayouts', 'axis_reports', 'bank_transactions', 'file_archive', 'audit_log', 'run_reports', 'automation_control'];
+
+/**
+ * Playwright globalSetup of the mock project: resets the mock database and
+ * inserts `MOCK_PAYOUTS` as `processing`, oldest first.
+ */
+export default async function seedMockDatabase() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGO_DB;
+  if (!/mock/i.test(dbName || '')) {
+    throw new Error(`❌ Refusing to seed '${dbName}': the mock database name must contain "mock"`);
+  }
+
+  const client = new MongoClient(uri);
+  try {
+    await client.connect();
+    const db = client.db(dbName);
+    for (const name of COLLECTIONS) await db.collection(name).deleteMany({});
+
+    const start = Date.now() - MOCK_PAYOUTS.length * 60 * 1000;
+    await db.collection('payouts').insertMany(MOCK_PAYOUTS.map((p, i) => ({
+      ...p,
+      status: 'processing',
+      createdAt: new Date(start + i * 60 * 1000),
+    })));
+    console.log(`🌱 Seeded ${MOCK_PAYOUTS.length} payouts into ${dbName}`);
+  } finally {
+    await client.close();
+  }
+}
@@ -0,0 +1,78 @@
+// @ts-check
+import { defineConfig, devices } from '@playwright/test';
+import { MOCK_USERS } from './mocks/bankPortals/users.js';
+
+/**
+ * Runs the full payout cycle offline, against the mock Kotak and Axis portals
+ * in mocks/bankPortals and a local MongoDB:
+ *
+ *   npm run test:mock
+ *
+ * Needs a MongoDB at MOCK_MONGODB_URI (default mongodb://127.0.0.1:27017).
+ * Everything else - URLs, credentials, OTPs - points at the mock server, so no
+ * real bank, SMS or Telegram is touched.
+ */
+const PORT = Number(process.env.MOCK_BANK_PORT) || 4010;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const [kotakMaker, kotakChecker] = MOCK_USERS.kotak;
+const [axisUser] = MOCK_USERS.axis;
+
+// Set before dotenv runs in the specs, so a developer's .env can't point a mock run at a real bank.
+Object.assign(process.env, {
+  MONGODB_URI: process.env.MOCK_MONGODB_URI || 'mongodb://127.0.0.1:27017',
+  MONGO_DB: 'PaylogicMock',
+  KOTAK_LOGIN_URL: `${BASE_URL}/knb2/`,
+  AXIS_LOGIN_URL: `${BASE_URL}/pre-login-interim`,
+  OTP_SOURCE_URL: `${BASE_URL}/otp/next`,
+  OTP_VALIDITY_MS: '180000',
+  BROWSER_CHANNEL: 'chromium',
+  KOTAK_CRN_A: kotakMaker.crn,
+  KOTAK_PASSWORD_A: kotakMaker.password,
+  KOTAK_OTP_PHONE_A: kotakMaker.phone,
+  KOTAK_CRN_B: kotakChecker.crn,
+  KOTAK_PASSWORD_B: kotakChecker.password,
+  KOTAK_OTP_PHONE_B: kotakChecker.phone,
+  AXIS_CORPORATE_ID: axisUser.corporateId,
+  AXIS_LOGIN_ID: axisUser.loginId,
+  AXIS_PASSWORD: axisUser.password,
+  AXIS_OTP_PHONE: axisUser.phone,
+  AXIS_DEBIT_ACCOUNT: '917020012345678',
+  AXIS_BATCH_SIZE: '3',
+  FILE_ARCHIVE_DIR: 'test-results/mock-archive',
+  RUN_LOG_DIR: 'test-results/mock-logs',
+  TELEGRAM_BOT_TOKEN: '',
+  TELEGRAM_CHAT_ID: '',
+});
+
+export default defineConfig({
+  testDir: './tests',
+  fullyParallel: false,
+  workers: 1,
+  retries: 0,
+  reporter: [['list'], ['html', { open: 'never', outputFolder: 'playwright-report-mock' }]],
+  globalSetup: './mocks/seed.js',
+  use: {
+    ...devices['Desktop Chrome'],
+    channel: 'chromium',
+    acceptDownloads: true,
+    trace: 'retain-on-failure',
+  },
+
+  // Pay through Axis first (it takes the oldest few payouts), then Kotak, then pull the statements.
+  projects: [
+    { name: 'mock-axis-payments', testMatch: /Axis\.spec\.js/ },
+    { name: 'mock-kotak-payments', testMatch: /kotak-new\.spec\.js/, dependencies: ['mock-axis-payments'] },
+    {
+      name: 'mock-statements',
+      testMatch: /(Kotak|Axis)_statementDownload\.spec\.js/,
+      dependencies: ['mock-kotak-payments'],
+    },
+  ],
+
+  webServer: {
+    command: 'node mocks/bankPortals/server.js',
+    url: `${BASE_URL}/health`,
+    reuseExistingServer: false,
+    env: { MOCK_BANK_PORT: String(PORT), MOCK_OTP_SEED: process.env.MOCK_OTP_SEED || '20250701' },
+  },
+});
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { findPayoutUploads, pruneArchive } from '../utils/fileArchive.js';
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run archive -- payout <payoutId> [outDir]   List the files a payout was uploaded in; copy the latest to outDir
+  npm run archive -- prune [--dry-run]            Delete archived files past their retention date`;
+
+async function showPayout(db, payoutId, outDir) {
+  const uploads = await findPayoutUploads(db, payoutId);
+  if (!uploads.length) {
+    console.log(`❓ No archived upload file for payout ${payoutId}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const record of uploads) {
+    console.log(`${record.intact ? '✅' : '❌'} ${record.archivedAt.toISOString()}  ${record.bank}  attempt ${record.attempt || 1}  ${record.fileName}`);
+    console.log(`   ${record.path}\n   sha256 ${record.sha256}, ${record.size} bytes, batch ${record.batchId}, runs ${record.runIds.join(', ')}`);
+  }
+
+  if (outDir) {
+    const [latest] = uploads;
+    if (!latest.intact) throw new Error(`❌ Archived file ${latest.path} is missing or no longer matches its hash`);
+    fs.mkdirSync(outDir, { recursive: true });
+    const target = path.join(outDir, latest.fileName);
+    fs.copyFileSync(latest.path, target);
+    console.log(`📄 Copied ${latest.fileName} → ${target}`);
+  }
+}
+
+async function main([command, ...args]) {
+  if (!['payout', 'prune'].includes(command) || (command === 'payout' && !args[0])) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI || '');
+  try {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'Paylogic');
+
+    if (command === 'payout') {
+      await showPayout(db, args[0], args[1]);
+    } else {
+      const dryRun = args.includes('--dry-run');
+      const expired = await pruneArchive(db, { dryRun });
+      for (const record of expired) console.log(`${dryRun ? '•' : '🗑️'} ${record.expiresAt.toISOString()}  ${record.path}`);
+      if (dryRun) console.log(`${expired.length} file(s) would be deleted`);
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
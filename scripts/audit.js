@@ -0,0 +1,97 @@
+import { MongoClient, ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { queryAudit, verifyAuditChain } from '../utils/audit.js';
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run audit -- [filters] [--json]   List audit entries, oldest first
+  npm run audit -- --verify             Check the hash chain of the whole log
+
+Filters:
+  --payout <payoutId>   --batch <batchId>   --action <action>   --actor <user>
+  --bank <kotak|axis>   --run <runId>       --from <date>       --to <date>
+  --limit <n>`;
+
+const FLAGS = ['payout', 'batch', 'action', 'actor', 'bank', 'run', 'from', 'to', 'limit'];
+
+function parseArgs(args) {
+  const options = { json: false, verify: false };
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (name === 'json' || name === 'verify') {
+      options[name] = true;
+    } else if (FLAGS.includes(name) && args[i + 1] !== undefined) {
+      options[name] = args[++i];
+    } else {
+      return null;
+    }
+  }
+  return options;
+}
+
+function toDate(value, flag) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`❌ --${flag} is not a date: ${value}`);
+  return date;
+}
+
+function formatEntry(entry) {
+  const subject = [
+    entry.bank,
+    entry.batchId && `batch ${entry.batchId}`,
+    entry.fileName,
+    entry.payoutIds.length && `${entry.payoutIds.length} payout(s)`,
+  ].filter(Boolean).join(', ');
+  const details = entry.details ? `\n   ${JSON.stringify(entry.details)}` : '';
+  return `${entry.outcome === 'ok' ? '✅' : '❌'} #${entry.seq} ${entry.at.toISOString()}  ${entry.action}  by ${entry.actor}` +
+    `${subject ? `  (${subject})` : ''}  run ${entry.runId}${details}`;
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  if (!options) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI || '');
+  try {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'Paylogic');
+
+    if (options.verify) {
+      const { ok, entries, problems } = await verifyAuditChain(db);
+      for (const { seq, problem } of problems) console.log(`❌ #${seq}: ${problem}`);
+      console.log(ok ? `✅ Audit chain intact (${entries} entries)` : `❌ ${problems.length} problem(s) in ${entries} entries`);
+      if (!ok) process.exitCode = 1;
+      return;
+    }
+
+    const entries = await queryAudit(db, {
+      payoutId: options.payout,
+      batchId: options.batch && new ObjectId(options.batch),
+      action: options.action,
+      actor: options.actor,
+      bank: options.bank,
+      runId: options.run,
+      from: options.from && toDate(options.from, 'from'),
+      to: options.to && toDate(options.to, 'to'),
+      limit: Number(options.limit) || undefined,
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+    } else {
+      for (const entry of entries) console.log(formatEntry(entry));
+      console.log(`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
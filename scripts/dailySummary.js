@@ -0,0 +1,71 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { summarizeDay, writeDailyReport } from '../utils/dailySummary.js';
+import { parseDateInput } from '../utils/dateRange.js';
+import { notify } from '../utils/notify.js';
+import { startRun } from '../utils/runLog.js';
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run daily-summary -- [--date <YYYY-MM-DD>] [--no-notify]
+
+Builds the payout summary of a day (today by default), saves the detailed
+workbook under DAILY_REPORT_DIR (./reports) and sends the summary to the
+channels of the 'daily_summary' event. Meant to run from cron after the
+last statement download of the day.`;
+
+function parseArgs(args) {
+  const options = { date: null, notify: true };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--no-notify') options.notify = false;
+    else if (args[i] === '--date' && args[i + 1] !== undefined) options.date = args[++i];
+    else return null;
+  }
+  return options;
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  if (!options) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const day = options.date ? parseDateInput(options.date) : new Date();
+  const run = startRun('daily-summary');
+  const client = new MongoClient(process.env.MONGODB_URI || '');
+  let db;
+  try {
+    await client.connect();
+    db = client.db(process.env.MONGO_DB || 'Paylogic');
+
+    run.step('Summarize');
+    const summary = await summarizeDay(db, day);
+    const { totals } = summary;
+    console.log(`📅 ${summary.date}: ${totals.payouts} payouts, ${totals.paid.count} paid, ${totals.failed.count} failed, ` +
+      `${totals.pending.count} pending, ${totals.returned.count} returned`);
+    run.count('payouts', totals.payouts);
+
+    run.step('Write Report');
+    const reportFile = writeDailyReport(summary);
+
+    if (options.notify) {
+      run.step('Notify');
+      await notify('daily_summary', { ...summary, reportFile });
+    }
+  } catch (error) {
+    const step = run.currentStep;
+    run.fail(error);
+    await notify('step_failed', { flow: 'Daily Summary', step, error });
+    throw error;
+  } finally {
+    await run.finish(db);
+    await client.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
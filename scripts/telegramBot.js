@@ -0,0 +1,30 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { runBot } from '../utils/telegramBot.js';
+dotenv.config();
+
+// Operator commands over Telegram (/status, /retry, /pause, /resume, /otp, /report).
+// Runs until stopped with Ctrl+C or SIGTERM, e.g. under systemd or pm2.
+async function main() {
+  const client = new MongoClient(process.env.MONGODB_URI || '');
+  const controller = new AbortController();
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      console.log(`🛑 ${signal} received, stopping the bot…`);
+      controller.abort();
+    });
+  }
+
+  try {
+    await client.connect();
+    console.log('🔗 Connected to MongoDB successfully.');
+    await runBot(client.db(process.env.MONGO_DB || 'Paylogic'), { signal: controller.signal });
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
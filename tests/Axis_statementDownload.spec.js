@@ -1,11 +1,16 @@
 // axis-report-download.spec.js
-import { test, expect, chromium } from '@playwright/test';
-import fs from 'fs';
+import { test, chromium } from '@playwright/test';
 import path from 'path';
-import xlsx from 'xlsx';
-import dotenv from 'dotenv';
 import { MongoClient } from 'mongodb';
-import { sendTelegramAlert } from '../utils/sendTelegram.js';
+import { notify } from '../utils/notify.js';
+import { reconcileAxisRows } from '../utils/reconcile.js';
+import { upsertStatementRows, AXIS_REPORT_KEY, recordStatementFetch, lastSuccessfulFetch } from '../utils/ingest.js';
+import { createBankAdapter } from '../utils/banks/index.js';
+import { ingestBankTransactions } from '../utils/bankTransactions.js';
+import { archiveFile } from '../utils/fileArchive.js';
+import { reconcileSettledBatches } from '../utils/batches.js';
+import { resolveDateRange, dayAfter, toIsoDate } from '../utils/dateRange.js';
+import { startRun } from '../utils/runLog.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -18,179 +23,145 @@ const AXIS_ACCOUNT = {
     corporateId: process.env.AXIS_CORPORATE_ID,
     loginId: process.env.AXIS_LOGIN_ID,
     password: process.env.AXIS_PASSWORD,
+    otpPhone: process.env.AXIS_OTP_PHONE,
 };
 
 /**
- * Parses the downloaded Axis Bank XLS report to extract transaction data.
- * @param {string} filePath - The path to the XLS file.
- * @returns {Array<Object>} An array of transaction documents.
+ * Works out the report range. AXIS_FROM_DATE / AXIS_TO_DATE win; otherwise the
+ * report runs from the last day of the last successful fetch (which may have been
+ * partial) up to today, or from the first of the month when there is none.
+ * @param {import('mongodb').Db} db - Database holding the fetch log
+ * @returns {Promise<{from: Date, to: Date, days: Date[]}>}
  */
-function parseAxisBankReport(filePath) {
-    try {
-        // --- 1. Read Excel File ---
-        const workbook = xlsx.readFile(filePath);
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        console.log(`📖 Reading data from sheet: "${sheetName}"`);
-
-        // --- 2. Define Stop Markers and Extract Data ---
-        const stopMarkers = [
-            'payment type summary',
-            'payment method wise summary',
-            'note: unless the constituent',
-        ];
-
-        // Read all rows starting from row 16 (0-indexed)
-        const allRows = xlsx.utils.sheet_to_json(sheet, {
-            range: 15,
-            defval: '',
-            raw: false,
-        });
-
-        console.log(`\n📊 Found ${allRows.length} potential transaction rows.`);
-
-        const results = [];
-        for (const row of allRows) {
-            // Convert all values in the row to a single lowercase string
-            const rowAsText = Object.values(row).join(' ').toLowerCase();
-
-            // Stop processing if a summary section is found
-            if (stopMarkers.some(marker => rowAsText.includes(marker))) {
-                console.log(`\n🛑 Stop marker found. Halting processing.`);
-                break;
-            }
-
-            // Skip empty rows or rows without essential data
-            if (!row['Transaction Date'] || !row['Beneficiary Name']) {
-                continue;
-            }
-
-            // Map and clean the data for database insertion
-            results.push({
-                Serial_No: row['S. No.'] || '',
-                Transaction_Date: row['Transaction Date'] || '',
-                Beneficiary_Name: row['Beneficiary Name'] || '',
-                Beneficiary_Account_Number: row['Beneficiary Account Number'] || '',
-                Beneficiary_Bank: row['Beneficiary Bank'] || '',
-                Beneficiary_IFSC: row['Beneficiary IFSC'] || '',
-                Amount: typeof row['Amount'] === 'string'
-                    ? parseFloat(row['Amount'].replace(/[^0-9.-]+/g, ''))
-                    : row['Amount'] || null,
-                UTR: row['UTR'] || '',
-                CRN: row['CRN'] || '',
-                File_Name: row['File Name'] || '',
-                Status: row['Status'] || '',
-                Payment_Mode: row['Payment Mode'] || '',
-                fetchedAt: new Date(),
-            });
-        }
-
-        console.log(`\n✅ Successfully extracted ${results.length} valid records.`);
-        return results;
-
-    } catch (error) {
-        console.error('❌ Error parsing file:', error.message);
-        return []; // Return an empty array on failure
+async function reportRange(db) {
+    let from = process.env.AXIS_FROM_DATE;
+    if (!from) {
+        const last = await lastSuccessfulFetch(db, 'axis');
+        const now = new Date();
+        from = toIsoDate(last ? last.to : new Date(now.getFullYear(), now.getMonth(), 1));
     }
+    return resolveDateRange({ from, to: process.env.AXIS_TO_DATE || toIsoDate(new Date()) });
 }
 
 test('📊 Axis Bank: Download and Save Reports to MongoDB', async () => {
     test.setTimeout(300000);
-    let browser, client;
-    let step = 'Start';
+    let browser, client, db, range, rangeText;
+    const run = startRun('axis-statement', { bank: 'axis', account: AXIS_ACCOUNT.loginId });
 
     try {
-        browser = await chromium.launch({ channel: 'chrome'});
+        run.step('Launch Browser');
+        browser = await chromium.launch({ channel: process.env.BROWSER_CHANNEL || 'chrome' });
         const context = await browser.newContext();
         const page = await context.newPage();
 
         // MongoDB connection
-        step = 'MongoDB Connection';
+        run.step('MongoDB Connection');
         client = new MongoClient(MONGO_URI);
         await client.connect();
-        const collection = client.db(MONGO_DB).collection(MONGO_COLL);
+        db = client.db(MONGO_DB);
+        const collection = db.collection(MONGO_COLL);
+
+        run.step('Resolve Report Range');
+        range = await reportRange(db);
+        const rangeLabel = `${toIsoDate(range.from)}_to_${toIsoDate(range.to)}`;
+        rangeText = `${toIsoDate(range.from)} → ${toIsoDate(range.to)}`;
+
+        const bank = createBankAdapter('axis', { db, page, account: AXIS_ACCOUNT, downloadDir: DOWNLOAD_DIR });
 
         // Login to Axis
-        step = 'Login to Axis Bank';
-        await page.goto('https://gtb1.axisbank.com/pre-login-interim', { waitUntil: 'networkidle' });
-        await page.getByRole('textbox', { name: 'Corporate ID*' }).fill(AXIS_ACCOUNT.corporateId);
-        await page.waitForTimeout(2000);
-
-        await page.getByRole('textbox', { name: 'Login ID*' }).fill(AXIS_ACCOUNT.loginId);
-        await page.waitForTimeout(2000);
-        await page.getByRole('button', { name: 'Proceed' }).click();
-        await page.waitForTimeout(2000);
-        await page.getByRole('textbox', { name: 'Password*' }).fill(AXIS_ACCOUNT.password);
-        await page.waitForTimeout(1000);
-        await page.getByRole('button', { name: 'Proceed' }).click();
-
-        // Manual OTP Entry
-        step = 'Manual OTP';
-        console.log('\n🔒 Paused for manual OTP entry and Submit. Resume when ready.');
-        await page.pause();
-
-        // Generate Report
-        step = 'Generate Report';
-        await page.getByRole('button', { name: 'Reports' }).click();
-        await page.waitForTimeout(2000);
-        await page.getByText('Transaction Analysis Report').click();
-        await page.waitForTimeout(2000);
-        await page.getByRole('radio', { name: 'Admin Report' }).check();
-        await page.waitForTimeout(2000);
-        await page.getByRole('button', { name: /Choose date/ }).first().click();
-        await page.getByRole('gridcell', { name: '1', exact: true }).click();
-        await page.waitForTimeout(2000);
-        await page.getByRole('button', { name: /Choose date/ }).nth(1).click();
-        await page.getByRole('gridcell', { name: '22' }).click();
-        await page.waitForTimeout(2000);
-        await page.getByRole('button', { name: 'Generate Report' }).click();
-        await page.waitForTimeout(5000);
-
-        // Download report
-        step = 'Download Report';
-        const [download] = await Promise.all([
-            page.waitForEvent('download'),
-            page.getByRole('button', { name: 'Download All' }).click(),
-            page.locator('div').filter({ hasText: /^XLS$/ }).click(),
-        ]);
-
-        const safeDate = new Date().toISOString().split('T')[0];
-        const fileName = `axis_report_${safeDate}.xls`;
-        const filePath = path.join(DOWNLOAD_DIR, fileName);
-        await download.saveAs(filePath);
-        console.log(`✅ Report saved: ${filePath}`);
-
-        // Parse XLS with custom parser and save to MongoDB
-        step = 'Parse and Save to MongoDB';
-        const docs = parseAxisBankReport(filePath);
-
-        if (docs.length > 0) {
-            await collection.insertMany(docs);
-            console.log(`💾 Inserted ${docs.length} records into MongoDB`);
-
-            // Delete the XLS file to save space
-            try {
-                fs.unlinkSync(filePath);
-                console.log(`🗑️ Deleted XLS file: ${filePath}`);
-            } catch (err) {
-                console.warn(`⚠️ Failed to delete file ${filePath}:`, err.message);
-            }
-        } else {
-            console.log('⚠️ No records parsed from XLS');
-        }
+        run.step('Login to Axis Bank');
+        await bank.login();
+
+        // Generate and download report
+        run.step('Download Report');
+        let fileName = '';
+        let docs = [];
+        let ingest = { inserted: 0, updated: 0, unchanged: 0, docs: [] };
+
+        await bank.downloadStatement({
+            from: range.from,
+            to: range.to,
+            onFile: async ({ filePath, docs: parsed }) => {
+                fileName = path.basename(filePath);
+                run.count('statementFiles');
+                // Each row remembers which report range it was last fetched in
+                docs = parsed.map(d => ({ ...d, reportRange: rangeLabel, reportFrom: range.from, reportTo: range.to }));
+
+                // Keep the original XLS for audits and disputes
+                run.step('Archive Report');
+                await archiveFile(db, filePath, {
+                    bank: 'axis',
+                    kind: 'statement',
+                    details: { reportFrom: range.from, reportTo: range.to },
+                    move: true,
+                });
+
+                // Save to MongoDB
+                run.step('Parse and Save to MongoDB');
+                if (!docs.length) {
+                    console.log('⚠️ No records parsed from XLS');
+                    return;
+                }
+                ingest = await upsertStatementRows(collection, docs, AXIS_REPORT_KEY);
+                run.count('statementRows', docs.length);
+                run.count('inserted', ingest.inserted);
+                run.count('updated', ingest.updated);
+                run.count('unchanged', ingest.unchanged);
+                console.log(`💾 Stored ${docs.length} records: ${ingest.inserted} new, ${ingest.updated} updated, ${ingest.unchanged} unchanged`);
+                await ingestBankTransactions(db, 'axis', parsed, { fileName, reportFrom: range.from, reportTo: range.to });
+
+                // Reconcile report rows back to the payouts sent through Axis
+                run.step('Reconcile Payouts');
+                // Every Axis payout still queued before the end of the report counts as unmatched,
+                // however long ago it was sent: older ones are the most overdue
+                const recon = await reconcileAxisRows(db, ingest.docs, {
+                    until: dayAfter(range.to),
+                    statementCollection: collection,
+                });
+                run.count('settled', recon.matched.length);
+                run.count('alreadySettled', recon.alreadySettled.length);
+                run.count('pending', recon.pending.length);
+                run.count('unmatchedRows', recon.unmatchedRows.length + recon.ambiguousRows.length);
+                run.count('unmatchedPayouts', recon.unmatchedPayouts.length);
+                const settledBatches = await reconcileSettledBatches(db, 'axis');
+                console.log(`📦 ${settledBatches} Axis batches reconciled and closed`);
+                await notify('recon_summary', { label: `Axis ${rangeText}`, summary: recon });
+            },
+        });
 
-        await sendTelegramAlert(`📊 *Axis Report Downloaded & Saved*
-✅ File: ${fileName}
-🧾 Records: ${docs.length}`);
+        run.step('Record Fetch');
+        await recordStatementFetch(db, {
+            bank: 'axis',
+            from: range.from,
+            to: range.to,
+            fileName,
+            counts: { records: docs.length, inserted: ingest.inserted, updated: ingest.updated, unchanged: ingest.unchanged },
+            status: 'success',
+        });
+
+        await notify('statement_saved', {
+            bank: 'axis',
+            range: rangeText,
+            fileName,
+            records: docs.length,
+            inserted: ingest.inserted,
+            updated: ingest.updated,
+            unchanged: ingest.unchanged,
+        });
     } catch (err) {
+        run.fail(err);
+        const step = run.currentStep;
         console.error(`❌ Failed at step: ${step}`);
         console.error(err);
-        await sendTelegramAlert(`❌ *Axis Report Download Failed*
-🔍 Step: ${step}
-🧨 Error: ${err.message}`);
+        if (db && range) {
+            await recordStatementFetch(db, { bank: 'axis', from: range.from, to: range.to, status: 'failed', error: err.message })
+                .catch(e => console.error('❌ Could not record failed fetch:', e));
+        }
+        await notify('step_failed', { bank: 'axis', flow: 'Report Download', step, error: err });
         throw err;
     } finally {
+        await run.finish(db);
         if (client) await client.close();
         if (browser) await browser.close();
     }
-});
\ No newline at end of file
+});
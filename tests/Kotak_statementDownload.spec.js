@@ -1,215 +1,135 @@
 import { test } from '@playwright/test';
-import fs from 'fs';
 import path from 'path';
-import xlsx from 'xlsx';
 import { MongoClient } from 'mongodb';
-import { fetchLatestOtp } from '../utils/fetchOtp.js';
-import { sendTelegramAlert } from '../utils/sendTelegram.js'; // added for alerts
+import { notify } from '../utils/notify.js';
+import { reconcileKotakRows } from '../utils/reconcile.js';
+import { upsertStatementRows, KOTAK_STATEMENT_KEY } from '../utils/ingest.js';
+import { ingestBankTransactions } from '../utils/bankTransactions.js';
+import { archiveFile } from '../utils/fileArchive.js';
+import { createBankAdapter } from '../utils/banks/index.js';
+import { alertOnFailure } from '../utils/testAlerts.js';
+import { reconcileSettledBatches } from '../utils/batches.js';
+import { resolveDateRange, dayAfter } from '../utils/dateRange.js';
+import { startRun } from '../utils/runLog.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
-test('Download all file records for today with pagination', async ({ page }) => {
-  test.setTimeout(1000000);
+// Days to download. Both default to today; to backfill after an outage run e.g.
+//   KOTAK_FROM_DATE=2025-07-01 KOTAK_TO_DATE=2025-07-05 npx playwright test tests/Kotak_statementDownload.spec.js
+const RANGE = resolveDateRange({ from: process.env.KOTAK_FROM_DATE, to: process.env.KOTAK_TO_DATE });
 
-  const manualDate = ''; // e.g., '2025-07-03' or leave blank for today
-  const dateObj = manualDate ? new Date(manualDate) : new Date();
-  const day = dateObj.getDate().toString();
-  const dateStr = dateObj.toLocaleDateString('en-GB');
-  console.log(`📅 Using date: ${dateStr}`);
+test('Download all file records for a date range with pagination', async ({ page }) => {
+  // Each day is a full walk through the Payment Center
+  test.setTimeout(1000000 * RANGE.days.length);
+
+  const fromStr = RANGE.from.toLocaleDateString('en-GB');
+  const toStr = RANGE.to.toLocaleDateString('en-GB');
+  const rangeStr = RANGE.days.length > 1 ? `${fromStr} – ${toStr}` : fromStr;
+  console.log(`📅 Using dates: ${rangeStr} (${RANGE.days.length} day(s))`);
 
   const MONGO_URI = process.env.MONGODB_URI || '';
   const MONGO_DB = process.env.MONGO_DB || 'Paylogic';
   const MONGO_COLL = process.env.MONGO_COLL || 'temppayouts';
   const client = new MongoClient(MONGO_URI);
   await client.connect();
-  const collection = client.db(MONGO_DB).collection(MONGO_COLL);
-
-  // Login
-  await page.goto('https://netbanking.kotak.com/knb2/');
-  await page.waitForTimeout(3000);
-  await page.getByRole('textbox', { name: 'CRN, Username or Card Number' }).fill(process.env.KOTAK_CRN_A);
-  await page.waitForTimeout(3000);
-  await page.getByRole('textbox', { name: 'Password' }).fill(process.env.KOTAK_PASSWORD_A);
-  await page.waitForTimeout(3000);
-  await page.getByRole('button', { name: 'Secure login' }).click();
-  await page.waitForTimeout(3000);
-
-  // ——— OTP ———
-  const startTime = Date.now();
-  let otp = null;
-  while (!otp && Date.now() - startTime < 60000) {
-    otp = await fetchLatestOtp(startTime);
-    if (!otp) await new Promise(r => setTimeout(r, 3000));
-  }
-  if (!otp) throw new Error('OTP not received.');
-  await page.getByRole('textbox', { name: 'otpMobile' }).fill(otp);
-  await page.waitForTimeout(3000);
-  await page.getByRole('button', { name: 'Secure login' }).click();
-  await page.waitForTimeout(3000);
-
-  // ——— Navigate to Payment Center ———
-  await page.getByText('CMS NetIT-New').click();
-  await page.waitForTimeout(3000);
-  const frame = page.frameLocator('iframe[name="knb2ContainerFrame"]');
-  await frame.getByRole('link', { name: 'Payments' }).click();
-  await frame.getByRole('link', { name: 'Payment Center' }).click();
-  await page.waitForTimeout(3000);
-
-  // ——— Apply filters ———
-  await frame.locator('#tool-1074').click();
-  await frame.getByPlaceholder('All').click();
-  await frame.locator('#uncheckAllLink').click();
-  await page.waitForTimeout(1000);
-  await frame.getByRole('option', { name: 'Processed' }).locator('span').click();
-  await frame.locator('#component-1047').click();
-  await page.waitForTimeout(3000);
-  await frame.getByRole('link', { name: day, exact: true }).click();
-  await page.waitForTimeout(3000);
-  await frame.getByRole('button', { name: 'View' }).click();
-  await page.waitForTimeout(500);
-  // await frame.getByRole('link', { name: '100' }).click();
-  // await page.waitForTimeout(2000);
-
-  // ——— Outer pagination: File list ———
-  let pageIndex = 1;
-  let hasNextPage = true;
-
-  while (hasNextPage) {
-    const fileRows = frame.locator('#gridview-1102-body > tr.x-grid-row');
-    const fileCount = await fileRows.count();
-    console.log(`📄 Page ${pageIndex} | Found ${fileCount} files`);
-
-    for (let i = 0; i < fileCount; i++) {
-      console.log(`⚙️  Processing file ${i + 1}/${fileCount}`);
-
-      // open “Select → View Record”
-      await frame.locator(`#btnMore_${i}`).click();
-      await page.waitForTimeout(1000);
-      await frame.getByRole('link', { name: 'View Record' }).click();
-      await page.waitForTimeout(5000);
-
-      // trigger download
-      const dlPromise = page.waitForEvent('download');
-      await frame.getByTitle('Download Payment Grid Details').click();
-      await page.waitForTimeout(3000);
-      await frame.getByRole('link', { name: 'XLS' }).click();
-      const download = await dlPromise;
-
-      // save to disk
-      const safeDate = dateStr.replace(/\//g, '-');
-      const xlsPath = `./KotakReports/payment_${safeDate}_p${pageIndex}_f${i + 1}.xls`;
-      await download.saveAs(xlsPath);
-      console.log(`✅ Downloaded XLS → ${xlsPath}`);
-
-      // ——— Parse with xlsx → JSON rows ———
-      const wb = xlsx.readFile(xlsPath);
-      const sheet = wb.Sheets[wb.SheetNames[0]];
-      const rows = xlsx.utils.sheet_to_json(sheet, { defval: null });
-
-      // inject metadata & store in Mongo
-      const docs = rows.map(r => ({
-        // ...r,
-        Sending_Account_Number: r['Sending Account Number'],
-        Receiver_Name: r['Receiver Name'],
-        Receiver_Code: r['Receiver Code'],
-        Product_Code: r['Product Code'],
-        Package_Code: r['Package Code'],
-        IFSC_Code: r['IFSC Code'],
-        Receiver_Account_Number: r['Receiver Account Number'],
-        Amount: r['Amount'],
-        Instrument_Date: r['Instrument Date'],
-        Effective_Date: r['Effective Date'],
-        UTR_SrNo: r['UTR SrNo'],
-        Instrument_No: r['Instrument No'],
-        Instrument_Status: r['Instrument Status'],
-        Maker: r['Maker'],
-        Maker_DateTime: r['Maker DateTime'],
-        Checker_1: r['Checker 1'],
-        Checker_1_DateTime: r['Checker 1 DateTime'],
-        Checker_2: r['Checker 2'],
-        Checker_2_DateTime: r['Checker 2 DateTime'],
-        Sent_By: r['Sent By'],
-        Sent_By_DateTime: r['Sent By DateTime'],
-        Instrument_Payment_Ref_No: r['Instrument Payment Ref No'],
-        Batch_Payment_Ref_No: r['Batch Payment Ref No'],
-        Payment_Details: r['Payment Details'],
-        Payment_Details_2: r['Payment Details 2'],
-        Payment_Details_3: r['Payment Details 3'],
-        Payment_Details_4: r['Payment Details 4'],
-        Host_Processing_Date_: r['Host Processing Date & Time '],
-        Reject_Remarks: r['Reject Remarks'],
-        Debit_Type: r['Debit Type'],
-        Verified_Beneficiary_Name: r['Verified Beneficiary Name'],
-        dateDownloaded: dateStr,
-        page: pageIndex,
-        file: i + 1,
-        fetchedAt: new Date(),
-      }));
-      if (docs.length) {
-        await collection.insertMany(docs);
-        console.log(`💾 Inserted ${docs.length} docs into MongoDB`);
-
-        // Delete the XLS file to save space
-        try {
-          fs.unlinkSync(xlsPath);
-          console.log(`🗑️ Deleted XLS file: ${xlsPath}`);
-        } catch (err) {
-          console.warn(`⚠️ Failed to delete file ${xlsPath}:`, err.message);
-        }
-
-      } else {
-        console.log('⚠️  No rows parsed from XLS');
-      }
-
-      // ——— Go back to file list ———
-      await page.waitForTimeout(4000);
-      await frame.getByRole('link', { name: 'Payments' }).click();
-      await frame.getByRole('link', { name: 'Payment Center' }).click();
-      await page.waitForTimeout(3000);
+  const db = client.db(MONGO_DB);
+  const collection = db.collection(MONGO_COLL);
+  const downloadedDocs = [];
+  const ingestTotals = { inserted: 0, updated: 0, unchanged: 0 };
+  const run = startRun('kotak-statement', { bank: 'kotak', account: process.env.KOTAK_CRN_A });
+
+  try {
+    const bank = createBankAdapter('kotak', {
+      db,
+      page,
+      account: {
+        crn: process.env.KOTAK_CRN_A,
+        password: process.env.KOTAK_PASSWORD_A,
+        otpPhone: process.env.KOTAK_OTP_PHONE_A,
+      },
+      downloadDir: './KotakReports',
+    });
+
+    // ——— Login (with OTP) ———
+    run.step('Login');
+    await bank.login();
+
+    // ——— Download every processed file of each day ———
+    for (const day of RANGE.days) {
+      const dateStr = day.toLocaleDateString('en-GB');
+      run.step(`Download ${dateStr}`);
+      console.log(`📅 Downloading ${dateStr}`);
+      await bank.downloadStatement({
+        date: day,
+        onFile: async ({ filePath, docs: parsed, pageIndex, fileIndex }) => {
+          run.count('statementFiles');
+          // inject metadata & store in Mongo
+          const docs = parsed.map(d => ({
+            ...d,
+            dateDownloaded: dateStr,
+            page: pageIndex,
+            file: fileIndex,
+            fetchedAt: new Date(),
+          }));
+          if (docs.length) {
+            const ingest = await upsertStatementRows(collection, docs, KOTAK_STATEMENT_KEY);
+            run.count('statementRows', docs.length);
+            run.count('inserted', ingest.inserted);
+            run.count('updated', ingest.updated);
+            run.count('unchanged', ingest.unchanged);
+            downloadedDocs.push(...ingest.docs);
+            ingestTotals.inserted += ingest.inserted;
+            ingestTotals.updated += ingest.updated;
+            ingestTotals.unchanged += ingest.unchanged;
+            console.log(`💾 Stored ${docs.length} docs: ${ingest.inserted} new, ${ingest.updated} updated, ${ingest.unchanged} unchanged`);
+            await ingestBankTransactions(db, 'kotak', parsed, { fileName: path.basename(filePath), statementDate: day });
+          } else {
+            console.log('⚠️  No rows parsed from XLS');
+          }
+
+          // Keep the original XLS for audits and disputes
+          await archiveFile(db, filePath, {
+            bank: 'kotak',
+            kind: 'statement',
+            account: parsed[0]?.Sending_Account_Number || null,
+            details: { statementDate: day, page: pageIndex, file: fileIndex },
+            move: true,
+          });
+        },
+      });
     }
 
-    // next page?
-    const nextBtn = frame.locator('a[role="button"][data-qtip="Next Page"]');
-    const cls = await nextBtn.getAttribute('class');
-    if (cls?.includes('x-item-disabled')) {
-      hasNextPage = false;
-      console.log('🚫 No more file pages');
-    } else {
-      console.log('👉 Moving to next file page');
-      await nextBtn.click();
-      await page.waitForTimeout(2000);
-      pageIndex++;
-    }
+    // ——— Reconcile rows back to payouts ———
+    run.step('Reconcile Payouts');
+    const recon = await reconcileKotakRows(db, downloadedDocs, {
+      since: RANGE.from,
+      until: dayAfter(RANGE.to),
+      statementCollection: collection,
+    });
+    run.count('settled', recon.matched.length);
+    run.count('alreadySettled', recon.alreadySettled.length);
+    run.count('pending', recon.pending.length);
+    run.count('unmatchedRows', recon.unmatchedRows.length);
+    run.count('unmatchedPayouts', recon.unmatchedPayouts.length);
+    const settledBatches = await reconcileSettledBatches(db, 'kotak');
+    console.log(`📦 ${settledBatches} Kotak batches reconciled and closed`);
+    await notify('statement_saved', { bank: 'kotak', range: rangeStr, records: downloadedDocs.length, ...ingestTotals });
+    await notify('recon_summary', { label: `Kotak ${rangeStr}`, summary: recon });
+
+    // ——— Cleanup ———
+    // Payouts are settled by now, so a flaky logout must not fail the run
+    run.step('Logout');
+    await bank.logout().catch(error => console.warn('⚠️ Logout failed:', error.message));
+
+    console.log('🎉 All files processed and saved to MongoDB!');
+  } catch (error) {
+    run.fail(error);
+    throw error;
+  } finally {
+    await run.finish(db);
+    await client.close();
   }
-
-  // ——— Cleanup ———
-  await page.waitForTimeout(3000);
-  await page.getByRole('listitem').filter({ hasText: 'AK' }).locator('span').click();
-  await page.waitForTimeout(3000);
-  await page.locator('app-header').getByText('Log out').click();
-
-  await client.close();
-  console.log('🎉 All files processed and saved to MongoDB!');
 });
 
 // ——— Global Error Notification Logic ———
-test.afterEach(async ({ }, testInfo) => {
-  if (testInfo.status !== testInfo.expectedStatus) {
-    const title = testInfo.title;
-    const error = testInfo.error;
-
-    let messageToSend = `❗ *${title}*`;
-
-    if (error?.message) {
-      messageToSend += `\n\`\`\`${error.message.replace(/`/g, '')}\`\`\``;
-    } else if (testInfo.status === 'timedOut') {
-      messageToSend += `\n\`\`\`Test timed out after ${testInfo.timeout}ms.\`\`\``;
-    } else if (testInfo.status === 'interrupted') {
-      messageToSend += `\n\`\`\`Test was interrupted\`\`\``;
-    } else {
-      messageToSend += `\n\`\`\`Unknown failure. Status: ${testInfo.status}\`\`\``;
-    }
-
-    await sendTelegramAlert(messageToSend);
-  }
-});
\ No newline at end of file
+alertOnFailure(test);
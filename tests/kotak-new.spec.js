@@ -1,132 +1,88 @@
-import { test, chromium, expect } from '@playwright/test';
-import path from 'path';
-import fs from 'fs';
-import { fetchLatestOtp } from '../utils/fetchOtp.js';
-import { sendTelegramAlert } from '../utils/sendTelegram.js';
+import { test, chromium } from '@playwright/test';
+import { notify } from '../utils/notify.js';
+import { createBankAdapter } from '../utils/banks/index.js';
+import { ensureDirectoryExists } from '../utils/files.js';
+import { discardWorkingCopy } from '../utils/fileArchive.js';
+import { alertOnFailure } from '../utils/testAlerts.js';
+import { startRun } from '../utils/runLog.js';
+import { getPauseState } from '../utils/automationControl.js';
+import { renewLease, transitionBatch, rejectBatch, markBatchApproved, markBatchNeedsReview, markBankRejected } from '../utils/batches.js';
+import { generateKotakFiles, rebuildKotakRetryFiles } from '../utils/kotakFile.js';
 import { MongoClient } from 'mongodb'; // <-- Added for MongoDB
-import Papa from 'papaparse'; // <-- Added for CSV generation
 import dotenv from 'dotenv';
 dotenv.config();
 
 // --- CONFIGURATION ---
 const DOWNLOAD_DIR = './KotakFiles';
-const sampleFilesDir = path.resolve(DOWNLOAD_DIR);
 
 const MONGO_URI = process.env.MONGODB_URI || '';
 const MONGO_DB = process.env.MONGO_DB || 'Paylogic';
-const MONGO_COLL = process.env.MONGO_COLL || 'payouts';
 
 // Account details for upload (A) and approval (B)
 const ACCOUNT_A_DETAILS = {
     crn: process.env.KOTAK_CRN_A,
     password: process.env.KOTAK_PASSWORD_A, //
+    otpPhone: process.env.KOTAK_OTP_PHONE_A,
 };
 
 const ACCOUNT_B = {
     crn: process.env.KOTAK_CRN_B,
     password: process.env.KOTAK_PASSWORD_B,
+    otpPhone: process.env.KOTAK_OTP_PHONE_B,
 };
 
 
 // --- HELPER FUNCTIONS ---
 
 /**
- * Ensures the download directory exists
+ * Reads the rejected records of a partially rejected upload, marks those payouts
+ * `bank_rejected` and shrinks the batch to the records Kotak kept.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches
+ * @param {Object} bank - Kotak adapter of the uploading session
+ * @param {Object} file - Uploaded file with its batch id and payout count
+ * @returns {Promise<number|null>} Payouts left to approve, or null when the rejected records
+ *   cannot be accounted for
  */
-async function ensureDirectoryExists() {
-    if (!fs.existsSync(DOWNLOAD_DIR)) {
-        fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
-        console.log('📁 Created download directory');
+async function setAsideRejectedRecords(db, bank, file) {
+    let records;
+    try {
+        records = await bank.fetchRejectedRecords(file.fileName);
+    } catch (error) {
+        console.error(`❌ Could not read rejected records of '${file.fileName}':`, error);
+        return null;
     }
-}
 
-/**
- * Finds and returns the name of the most recently modified file with a given extension.
- * @param {string} directory - The directory to search in.
- * @param {string} extension - The file extension to look for (e.g., '.csv').
- * @returns {string} The filename of the latest file.
- */
-function getLatestFile(directory, extension) {
-    const files = fs.readdirSync(directory);
-    const recentFile = files
-        .filter(file => path.extname(file).toLowerCase() === extension.toLowerCase())
-        .map(file => ({
-            file,
-            time: fs.statSync(path.join(directory, file)).mtime.getTime(),
-        }))
-        .sort((a, b) => b.time - a.time)[0];
-
-    if (!recentFile) {
-        throw new Error(`❌ No files with extension ${extension} found in ${directory}`);
+    const { rejected, unknown, remaining } = await markBankRejected(db, file.batchId, records);
+    // Without knowing exactly which records were dropped we can't tell what approval would pay
+    if (!rejected.length || unknown.length) {
+        console.warn(`⚠️ ${unknown.length} rejected records of '${file.fileName}' match no payout of the batch.`);
+        return null;
     }
+    file.count = remaining;
+    file.bankRejected = { payouts: rejected.length, amount: rejected.reduce((sum, r) => sum + r.amount, 0) };
 
-    console.log(`✅ Automatically selected latest file: ${recentFile.file}`);
-    return recentFile.file;
-}
-
-/**
- * Checks if there are any existing CSV files in the directory
- * @param {string} directory - The directory to check
- * @returns {boolean} True if CSV files exist
- */
-function hasExistingCsvFiles(directory) {
-    if (!fs.existsSync(directory)) return false;
-    const files = fs.readdirSync(directory);
-    return files.some(file => file.endsWith('.csv'));
-}
-
-/**
- * Creates a timestamped copy of an existing CSV file
- * @param {string} originalFilePath - Path to the original CSV file
- * @returns {string} New filename with timestamp
- */
-function createTimestampedCopy(originalFilePath) {
-    const baseName = path.basename(originalFilePath, '.csv').split('_retry_')[0];
-    const now = new Date();
-    const timestamp = `${now.getHours().toString().padStart(2, "0")}_${now.getMinutes().toString().padStart(2, "0")}_${now.getSeconds().toString().padStart(2, "0")}_${now.getMilliseconds().toString().padStart(3, "0")}`;
-    const newFileName = `${baseName}_retry_${timestamp}.csv`;
-    const newFilePath = path.join(path.dirname(originalFilePath), newFileName);
-    fs.writeFileSync(newFilePath, fs.readFileSync(originalFilePath));
-    console.log(`📋 Created clean retry copy: ${newFileName}`);
-    return newFileName;
+    await notify('records_rejected', { bank: 'kotak', fileName: file.fileName, rejected, remaining });
+    return remaining;
 }
 
 /**
- * Deletes the specified file
- * @param {string} filePath - Full path to the file to delete
+ * Holds a batch Kotak may pay without our knowing: an approval it did not confirm,
+ * or a partly accepted upload whose rejected records we cannot account for. Its
+ * payouts are queued for review rather than released, and the operator is alerted
+ * to check the portal.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches
+ * @param {Object} run - Run log of this test
+ * @param {Object} file - Uploaded file with its batch id
+ * @param {string} reason - Why the payment is in doubt
  */
-function deleteFile(filePath) {
-    try {
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            console.log(`🗑️ Successfully deleted file: ${path.basename(filePath)}`);
-        }
-    } catch (error) {
-        console.error(`❌ Failed to delete file: ${filePath}`, error);
-    }
+async function holdForReview(db, run, file, reason) {
+    run.fileStatus(file.fileName, 'needs_review', { remark: reason });
+    const queued = await markBatchNeedsReview(db, file.batchId, reason);
+    await notify('batch_needs_review', { bank: 'kotak', fileName: file.fileName, queued, reason });
 }
 
 // --- TELEGRAM ALERT ON FAILURE ---
-test.afterEach(async ({ }, testInfo) => {
-    if (testInfo.status !== testInfo.expectedStatus) {
-        const title = testInfo.title;
-        const error = testInfo.error;
-
-        let messageToSend = `❗ *${title}*`;
-
-        if (error?.message) {
-            messageToSend += `\n\`\`\`${error.message.replace(/`/g, '')}\`\`\``;
-        } else if (testInfo.status === 'timedOut') {
-            messageToSend += `\n\`\`\`Test timed out after ${testInfo.timeout}ms.\`\`\``;
-        } else if (testInfo.status === 'interrupted') {
-            messageToSend += `\n\`\`\`Test was interrupted\`\`\``;
-        } else {
-            messageToSend += `\n\`\`\`Unknown failure. Status: ${testInfo.status}\`\`\``;
-        }
-
-        await sendTelegramAlert(messageToSend);
-    }
-});
+alertOnFailure(test);
 
 
 // --- MAIN TEST SCRIPT ---
@@ -134,302 +90,188 @@ test('🔁 Full Cycle: Admin Download -> Kotak Upload & Approve', async ({ page
     // Set a long timeout for the entire sequence
     test.setTimeout(500000);
 
-    let csvFilePath = null;
-    let csvFileName = null;
-    let shouldUpdateDatabase = false;
-    let payoutIds = [];
+    // Files to upload this run; each carries its batch id and payout count
+    let files = [];
+    const run = startRun('kotak-upload', { bank: 'kotak', account: ACCOUNT_A_DETAILS.crn });
 
     // =================================================================
-    // PART 1: CHECK FOR EXISTING CSV OR GENERATE NEW ONE
+    // PART 1: REBUILD DUE RETRIES AND GENERATE NEW FILES
     // =================================================================
-    console.log('--- PART 1: CHECKING FOR EXISTING CSV OR GENERATING NEW ONE ---');
-    await ensureDirectoryExists();
-
-    // Check if there are existing CSV files
-    if (hasExistingCsvFiles(sampleFilesDir)) {
-        console.log('📁 Found existing CSV file(s) in directory');
-        const originalCsvFileName = getLatestFile(sampleFilesDir, '.csv');
-        const originalCsvFilePath = path.join(sampleFilesDir, originalCsvFileName);
-
-        // Create a timestamped copy for retry
-        csvFileName = createTimestampedCopy(originalCsvFilePath);
-        csvFilePath = path.join(sampleFilesDir, csvFileName);
-
-        console.log(`🔄 Using existing CSV file with new timestamp: ${csvFileName}`);
-        console.log(`📝 Original file preserved: ${originalCsvFileName}`);
-        shouldUpdateDatabase = false; // Don't update DB since this is a retry
-    } else {
-        console.log('📄 No existing CSV files found. Generating new CSV from database...');
-
-        const client = new MongoClient(MONGO_URI);
-        let csvGenerated = false;
-
-        try {
-            await client.connect();
-            console.log('🔗 Connected to MongoDB successfully.');
-            const db = client.db(MONGO_DB);
-            const payoutsCollection = db.collection(MONGO_COLL);
-
-            // Find the 100 oldest "processing" payouts
-            const payouts = await payoutsCollection.find({ status: "processing" })
-                .sort({ createdAt: 1 }) // 1 for ascending (oldest first)
-                .limit(100)
-                .toArray();
-
-            if (!payouts.length) {
-                console.log('⚠️ No processing payouts found in DB. Stopping test.');
-                return; // Exit the test if no data is found
-            }
-            console.log(`✅ Found ${payouts.length} processing payouts.`);
-
-            // Store payout IDs for later database update
-            payoutIds = payouts.map(p => p._id);
-            shouldUpdateDatabase = true;
-
-            // Format payout data for Kotak CSV
-            const formattedData = payouts.map((item) => ({
-                "Client Code": "TTPL7",
-                "Product Code": "VPAY",
-                "Payment Type": "IMPS",
-                "payout_id": item.payoutId || "",
-                "date": new Date().toLocaleDateString("en-GB"),
-                " ": "",
-                "Dr Ac No": "3250499167",
-                "Ammount": item.amount.toFixed(2),
-                "Bank Code Indicator": "KKBK0000660",
-                "  ": "", // Note: different spacing from original to create distinct columns
-                "Beneficiary Name": item.beneficiary?.name || "",
-                "   ": "", // Note: different spacing
-                "IFSC": item.beneficiary?.ifsc || "",
-                "Account No.": item.beneficiary?.account || "",
-            }));
-
-            // Generate CSV string
-            const csv = Papa.unparse(formattedData, { header: false });
-
-            // Create a unique filename
-            const now = new Date();
-            csvFileName = `${now.getDate().toString().padStart(2, "0")}_${(now.getMonth() + 1).toString().padStart(2, "0")}_${now.getFullYear()}_${now.getHours().toString().padStart(2, "0")}_${now.getMinutes().toString().padStart(2, "0")}.csv`;
-            csvFilePath = path.join(DOWNLOAD_DIR, csvFileName);
-
-            // Save the CSV file
-            fs.writeFileSync(csvFilePath, csv);
-            console.log(`✅ CSV file generated successfully: ${csvFilePath}`);
-            csvGenerated = true;
-
-        } catch (error) {
-            console.error('❌ Error during DB operation or CSV generation:', error);
-            await sendTelegramAlert(`❌ *DB/CSV Generation Failed*\n\`\`\`${error.message}\`\`\``);
-            throw error; // Fail the test
-        } finally {
-            await client.close();
-            console.log('🔌 MongoDB connection closed.');
-        }
+    console.log('--- PART 1: REBUILDING RETRIES AND GENERATING NEW FILES ---');
+    run.step('Generate Files');
+    ensureDirectoryExists(DOWNLOAD_DIR);
+
+    const setupClient = new MongoClient(MONGO_URI);
 
-        if (!csvGenerated) {
-            console.log("Stopping test because CSV file was not generated.");
+    try {
+        await setupClient.connect();
+        console.log('🔗 Connected to MongoDB successfully.');
+        const db = setupClient.db(MONGO_DB);
+
+        // An operator can hold back uploads with the bot's /pause command
+        const pause = await getPauseState(db);
+        if (pause.paused) {
+            console.log(`⏸ Scheduled payouts are paused by ${pause.by || 'an operator'}${pause.reason ? ` (${pause.reason})` : ''}. Stopping test.`);
+            await run.finish(db);
             return;
         }
+
+        // Rejected batches whose backoff has passed are rebuilt from their own payouts
+        const retries = await rebuildKotakRetryFiles(db, DOWNLOAD_DIR);
+        if (retries.length) console.log(`🔁 Retrying ${retries.length} rejected batch(es).`);
+
+        // Atomically claim, route and validate the oldest "processing" payouts,
+        // then write one CSV (and batch) per payment mode
+        const retried = retries.reduce((n, f) => n + f.count, 0);
+        const generated = await generateKotakFiles(db, DOWNLOAD_DIR, { limit: Math.max(100 - retried, 0) });
+
+        // Payouts with bad beneficiary or amount data were set aside; tell the operator
+        if (generated.invalid.length) {
+            await notify('validation_failed', { bank: 'kotak', invalid: generated.invalid });
+        }
+
+        files = [...retries, ...generated.files];
+        run.count('payoutsConsidered', files.reduce((n, f) => n + f.count, 0) + generated.invalid.length);
+        run.count('payoutsInvalid', generated.invalid.length);
+        run.count('retriedBatches', retries.length);
+        run.addFiles(files);
+        if (!files.length) await run.finish(db);
+    } catch (error) {
+        console.error('❌ Error during DB operation or CSV generation:', error);
+        await notify('step_failed', { bank: 'kotak', flow: 'File Generation', step: run.currentStep, error });
+        await run.finish(setupClient.db(MONGO_DB), { error });
+        throw error; // Fail the test
+    } finally {
+        await setupClient.close();
+        console.log('🔌 MongoDB connection closed.');
+    }
+
+    if (!files.length) {
+        console.log('⚠️ No retries due and no valid processing payouts found in DB. Stopping test.');
+        return;
     }
+    console.log(`✅ ${files.length} file(s) to upload for ${files.reduce((n, f) => n + f.count, 0)} payouts.`);
 
     // =================================================================
     // PART 2: UPLOAD AND APPROVE IN KOTAK NETBANKING
     // =================================================================
     console.log('\n--- PART 2: UPLOADING AND APPROVING FILE ---');
 
-    const ACCOUNT_A = { ...ACCOUNT_A_DETAILS, fileToUpload: csvFileName };
+    const ACCOUNT_A = { ...ACCOUNT_A_DETAILS };
 
-    const browser = await chromium.launch({ channel: 'chrome' });
-    let currentStep = 'START';
-    let contextA, pageA;
+    // Connecting and launching sit inside the try, so a failure there still closes the run
+    let client;
+    let db;
+    let browser;
+    // File whose approval OTP may have been submitted; a failure holds it for review
+    let approving = null;
 
     try {
+        client = new MongoClient(MONGO_URI);
+        await client.connect();
+        db = client.db(MONGO_DB);
+
+        browser = await chromium.launch({ channel: process.env.BROWSER_CHANNEL || 'chrome' });
+
         // ========== ACCOUNT A: FILE UPLOAD ==========
-        currentStep = 'Login Account A';
-        contextA = await browser.newContext();
-        pageA = await contextA.newPage();
-        await pageA.goto('https://netbanking.kotak.com/knb2/');
-        await pageA.getByRole('textbox', { name: 'CRN, Username or Card Number' }).fill(ACCOUNT_A.crn);
-        await pageA.waitForTimeout(2000);
-        await pageA.getByRole('textbox', { name: 'Password' }).fill(ACCOUNT_A.password);
-        await pageA.waitForTimeout(2000);
-        await pageA.getByRole('button', { name: 'Secure login' }).click();
-
-        // OTP for Account A
-        currentStep = 'OTP A';
-        const startTimeA = Date.now();
-        let otpA = null;
-        while (!otpA && Date.now() - startTimeA < 60000) {
-            otpA = await fetchLatestOtp(startTimeA);
-            if (!otpA) await new Promise(r => setTimeout(r, 3000));
+        run.step('Login Account A');
+        const contextA = await browser.newContext();
+        const bankA = createBankAdapter('kotak', { db, page: await contextA.newPage(), account: ACCOUNT_A });
+        await bankA.login();
+
+        const acceptedFiles = [];
+        const rejectedFiles = [];
+        for (const file of files) {
+            run.step(`File Upload ${file.fileName}`, { fileName: file.fileName });
+            await renewLease(db, file.batchId, file.count);
+            await transitionBatch(db, file.batchId, 'uploading');
+            const upload = await bankA.uploadBatch(file.filePath);
+            await transitionBatch(db, file.batchId, 'uploaded', { remark: upload.remark });
+            run.fileStatus(file.fileName, 'uploaded', { remark: upload.remark });
+
+            const remaining = upload.partiallyRejected ? await setAsideRejectedRecords(db, bankA, file) : 0;
+            if (upload.accepted) {
+                console.log(`✅ File '${file.fileName}' fully uploaded.`);
+                acceptedFiles.push(file);
+            } else if (remaining > 0) {
+                // The bad records are out of the batch; the good ones still go for approval
+                acceptedFiles.push(file);
+            } else if (remaining === null) {
+                // Kotak keeps the accepted records of this file, so rebuilding the batch could pay them twice
+                await holdForReview(db, run, file, `Rejected records of the upload could not be matched (${upload.remark})`);
+                rejectedFiles.push(file);
+            } else {
+                // Nothing of the file is left at Kotak. The batch keeps its payouts and is rebuilt
+                // into a fresh file once its backoff has passed, so this file is never uploaded again
+                const batch = await rejectBatch(db, file.batchId, upload.remark, { retry: true });
+                // The batch's archived copy of this file is kept; only the working copy goes
+                await discardWorkingCopy(db, file.filePath, { bank: 'kotak', batchId: file.batchId, details: { reason: 'upload rejected' } });
+                const outcome = batch.state === 'closed'
+                    ? `🛑 Gave up after ${batch.attempts} attempt(s); payouts marked upload_failed`
+                    : `🔁 Retry after ${batch.nextRetryAt.toISOString()}`;
+                await notify('upload_issue', { bank: 'kotak', fileName: file.fileName, remark: upload.remark, outcome });
+                run.fileStatus(file.fileName, 'rejected', { remark: upload.remark });
+                rejectedFiles.push(file);
+            }
         }
-        if (!otpA) throw new Error('❌ OTP A timeout');
-        console.log('✅ OTP A:', otpA);
-
-        await pageA.getByRole('textbox', { name: 'otpMobile' }).fill(otpA);
-        await pageA.waitForTimeout(2000);
-        await pageA.getByRole('button', { name: 'Secure login' }).click();
-        await pageA.waitForTimeout(3000);
-        await pageA.getByText('CMS NetIT-New').click();
-
-        // Navigate to upload page
-        currentStep = 'File Upload Page';
-        const frameA = await pageA.frameLocator('iframe[name="knb2ContainerFrame"]');
-        await pageA.waitForTimeout(2000);
-        await frameA.getByRole('link', { name: 'Payments' }).click();
-        await frameA.getByRole('link', { name: 'File Upload' }).click();
-        await pageA.waitForTimeout(2000);
-        await frameA.getByRole('button', { name: 'File Upload' }).click();
-        await pageA.waitForTimeout(2000);
-        await frameA.locator('#clientMapCode-niceSelect').getByText('Select').click();
-        await frameA.getByRole('listitem', { name: /Payments.*EXCEL.*CSV.*UPLOAD/i }).click();
-        await pageA.waitForTimeout(2000);
-
-        // Upload the file
-        currentStep = 'File Selection';
-        const [fileChooser] = await Promise.all([
-            pageA.waitForEvent('filechooser'),
-            frameA.getByRole('button', { name: 'Select File' }).click(),
-        ]);
-        await fileChooser.setFiles(csvFilePath);
-        await frameA.getByRole('button', { name: 'Upload', exact: true }).click();
-        console.log(`🚀 File '${csvFileName}' upload initiated.`);
-        await pageA.waitForTimeout(10000);
-
-        // Verify upload status
-        currentStep = 'Upload Status Verification';
-        await frameA.getByLabel('Refresh').click();
-        await pageA.waitForTimeout(5000);
-        await frameA.getByLabel('Refresh').click();
-        await pageA.waitForTimeout(3000);
-        await frameA.getByLabel('Refresh').click();
-
-        const fileRow = frameA.getByRole('row').filter({ hasText: csvFileName });
-        const remarksCell = fileRow.locator('td.x-grid-cell-col_tskslRemarks');
-        const expectedStatusRegex = /File Uploaded Successfully|Rejected Records|Error/i;
-        await expect(remarksCell).toHaveText(expectedStatusRegex, { timeout: 90000 });
-        const finalRemarks = await remarksCell.innerText();
-        console.log(`📋 Upload remark: "${finalRemarks}"`);
-
-        if (finalRemarks.includes('File Uploaded Successfully') && !finalRemarks.includes('Rejected')) {
-            console.log('✅ File fully uploaded. Proceeding to approval.');
-        } else {
-            const alertMsg = `⚠️ *Upload Issue Detected*\n📂 File: \`${csvFileName}\`\n📝 Remark: _${finalRemarks}`;
-            await sendTelegramAlert(alertMsg);
+
+        if (!acceptedFiles.length) {
             throw new Error('⛔ Approval skipped due to upload issue.');
         }
 
         // ========== ACCOUNT B: APPROVAL ==========
-        currentStep = 'Login Account B';
+        run.step('Login Account B', { account: ACCOUNT_B.crn });
         const contextB = await browser.newContext();
-        const pageB = await contextB.newPage();
-        await pageB.goto('https://netbanking.kotak.com/knb2/');
-        await pageB.waitForTimeout(3000);
-        await pageB.getByRole('textbox', { name: 'CRN, Username or Card Number' }).fill(ACCOUNT_B.crn);
-        await pageB.waitForTimeout(2000);
-        await pageB.getByRole('textbox', { name: 'Password' }).fill(ACCOUNT_B.password);
-        await pageB.waitForTimeout(2000);
-        await pageB.getByRole('button', { name: 'Secure login' }).click();
-        await pageB.waitForTimeout(2000);
-
-        // OTP for Account B
-        currentStep = 'OTP B';
-        const startTimeB = Date.now();
-        let otpB = null;
-        while (!otpB && Date.now() - startTimeB < 60000) {
-            otpB = await fetchLatestOtp(startTimeB);
-            if (!otpB) await new Promise(r => setTimeout(r, 3000));
-        }
-        if (!otpB) throw new Error('❌ OTP B timeout');
-        console.log('✅ OTP B:', otpB);
-
-        await pageB.getByRole('textbox', { name: 'otpMobile' }).fill(otpB);
-        await pageB.waitForTimeout(2000);
-        await pageB.getByRole('button', { name: 'Secure login' }).click();
-        await pageB.waitForTimeout(3000);
-        await pageB.getByText('CMS NetIT-New').click();
-
-        // Approval flow
-        currentStep = 'Approval Flow';
-        const frameB = await pageB.frameLocator('iframe[name="knb2ContainerFrame"]');
-        await pageB.waitForTimeout(2000);
-        await frameB.getByRole('link', { name: 'Payments' }).click();
-        await pageB.waitForTimeout(2000);
-        await frameB.locator('#btnMore_0').click();
-        await frameB.getByRole('link', { name: 'Approve' }).click();
-        await pageB.waitForTimeout(2000);
-        await frameB.getByRole('button', { name: 'Approve All' }).click();
-        await pageB.waitForTimeout(2000);
-        await frameB.getByRole('button', { name: 'Continue' }).click();
-
-        // Final OTP for approval
-        currentStep = 'Final OTP for Approval';
-        const startTimeC = Date.now();
-        let otpFinal = null;
-        while (!otpFinal && Date.now() - startTimeC < 60000) {
-            otpFinal = await fetchLatestOtp(startTimeC);
-            if (!otpFinal) await new Promise(r => setTimeout(r, 3000));
-        }
-        if (!otpFinal) throw new Error('❌ Final OTP timeout');
-        console.log('✅ OTP for approval:', otpFinal);
-
-        const otpInput = frameB.locator('#AuthDialog-innerCt input#token');
-        await otpInput.focus();
-        await otpInput.fill(otpFinal);
-        await pageB.waitForTimeout(2000);
-        await frameB.getByRole('button', { name: 'Submit' }).click();
-        await pageB.waitForTimeout(5000);
-
-        // Final refresh on uploader page to confirm status
-        await frameB.getByLabel('Refresh').click();
-        await pageB.waitForTimeout(5000);
-        await frameB.getByLabel('Refresh').click();
-
-        console.log('✅ Upload and approval process completed successfully!');
+        const bankB = createBankAdapter('kotak', { db, page: await contextB.newPage(), account: ACCOUNT_B });
+        await bankB.login();
+
+        for (const file of acceptedFiles) {
+            run.step(`Approval Flow ${file.fileName}`, { account: ACCOUNT_B.crn, fileName: file.fileName });
+            approving = file;
+            const { approved, status } = await bankB.approveBatch(file.fileName);
+            if (!approved) {
+                await holdForReview(db, run, file, `Approval not confirmed by Kotak (${status || 'no message shown'})`);
+                approving = null;
+                continue;
+            }
+            run.fileStatus(file.fileName, 'approved', { bankRejected: file.bankRejected });
 
-        // =================================================================
-        // PART 3: UPDATE DATABASE AND CLEANUP (ONLY ON SUCCESS)
-        // =================================================================
-        if (shouldUpdateDatabase && payoutIds.length > 0) {
-            console.log('\n--- PART 3: UPDATING DATABASE STATUS ---');
-            const client = new MongoClient(MONGO_URI);
+            // =================================================================
+            // PART 3: UPDATE DATABASE AND CLEANUP (ONLY ON SUCCESS)
+            // =================================================================
             try {
-                await client.connect();
-                const db = client.db(MONGO_DB);
-                const payoutsCollection = db.collection(MONGO_COLL);
-
-                // Update the status of the processed payouts to "queued"
-                const updateResult = await payoutsCollection.updateMany(
-                    { _id: { $in: payoutIds } },
-                    { $set: { status: "queued" } }
-                );
-                console.log(`✅ Updated ${updateResult.modifiedCount} payouts to 'queued' status.`);
+                // Mark the batch approved and move its payouts to "queued"
+                const queued = await markBatchApproved(db, file.batchId);
+                console.log(`✅ Updated ${queued} payouts to 'queued' status.`);
+                await notify('approval_done', { bank: 'kotak', fileName: file.fileName, queued, amount: file.amount - (file.bankRejected?.amount || 0) });
             } catch (error) {
                 console.error('❌ Error updating database:', error);
-                await sendTelegramAlert(`❌ *DB Update Failed*\n\`\`\`${error.message}\`\`\``);
+                await notify('db_update_failed', { action: 'marking the batch approved', fileName: file.fileName, error });
                 // Don't throw here - the main process succeeded, just log the DB update failure
-            } finally {
-                await client.close();
             }
+
+            // Uploaded files stay in the archive (see createBatch); drop the working copy
+            await discardWorkingCopy(db, file.filePath, { bank: 'kotak', batchId: file.batchId, details: { reason: 'approved' } });
+            approving = null;
         }
 
-        // Delete the timestamped CSV file only after successful completion
-        // (Keep original file for potential future retries if this was a retry)    
-        if (csvFilePath && csvFileName.includes('_retry_')) {
-            deleteFile(csvFilePath);
-            const baseName = csvFileName.split('_retry_')[0] + '.csv';
-            const originalFilePath = path.join(sampleFilesDir, baseName);
-            deleteFile(originalFilePath);
-            console.log('🧹 Cleaned up both retry and original CSV files.');
-        } else if (csvFilePath) {
-            deleteFile(csvFilePath);
+        console.log('✅ Upload and approval process completed successfully!');
+
+        if (rejectedFiles.length) {
+            throw new Error(`⛔ Approval skipped for ${rejectedFiles.length} file(s) due to upload issue.`);
         }
 
     } catch (err) {
-        const alert = `❌ *Test Failed*\n🔍 Step: ${currentStep}\n🧨 Error: ${err.message}`;
-        await sendTelegramAlert(alert);
+        run.fail(err);
+        if (approving) {
+            await holdForReview(db, run, approving, `${run.currentStep}: ${err.message}`)
+                .catch(error => console.error('❌ Could not mark batch for review:', error.message));
+        }
+        await notify('step_failed', { bank: 'kotak', flow: 'Upload & Approval', step: run.currentStep, error: err });
         throw err; // Re-throw error to fail the test
     } finally {
-        await browser.close();
+        await run.finish(db);
+        if (browser) await browser.close();
+        if (client) await client.close();
     }
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+import path from 'path';
+import xlsx from 'xlsx';
+import { test, expect } from '@playwright/test';
+import {
+  AXIS_REPORT_LAYOUT,
+  KOTAK_STATEMENT_LAYOUT,
+  ReportFormatError,
+  parseReportFile,
+  parseReportSheet,
+} from '../utils/reportParser.js';
+import { parseAxisBankReport } from '../utils/banks/axis.js';
+
+// Parser checks against saved bank files; no browser is started.
+const AXIS_FIXTURE = path.resolve('tests/kotakReports/axis_report_2025-07-22.xls');
+const KOTAK_FIXTURE = path.resolve('tests/kotakReports/kotak_payment_grid_2025-07-22.xls');
+
+/** Reads a fixture as row arrays, so a test can rearrange it before parsing. */
+function fixtureRows(filePath) {
+  const workbook = xlsx.readFile(filePath);
+  return xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '', raw: false });
+}
+
+const toSheet = rows => xlsx.utils.aoa_to_sheet(rows);
+
+test.describe('Axis Transaction Analysis Report', () => {
+  test('finds the header below the preamble and stops before the summaries', () => {
+    const { docs, headerRow, missing, unexpected } = parseReportFile(AXIS_FIXTURE, AXIS_REPORT_LAYOUT);
+
+    expect(headerRow).toBe(15);
+    expect(missing).toEqual([]);
+    expect(unexpected).toEqual([]);
+    expect(docs).toHaveLength(26);
+    expect(docs[1]).toMatchObject({
+      Serial_No: '2',
+      Transaction_Date: '16/07/2025',
+      Beneficiary_Account_Number: '922010052866935',
+      UTR: 'AI0000339845',
+      CRN: 'PAY26977625',
+      Status: 'Successful',
+      Payment_Mode: 'IFT',
+    });
+    expect(docs.at(-1).Serial_No).toBe('26');
+  });
+
+  test('parseAxisBankReport turns Indian-format INR amounts into numbers', async () => {
+    const docs = await parseAxisBankReport(AXIS_FIXTURE);
+
+    expect(docs).toHaveLength(26);
+    expect(docs[4].Amount).toBe(200000);
+    expect(docs[19].Amount).toBe(500007);
+    expect(docs[0].Beneficiary_Bank).toBe('');
+  });
+
+  test('copes with a shorter preamble and renamed columns', () => {
+    const rows = fixtureRows(AXIS_FIXTURE).slice(10);
+    const header = rows[5];
+    header[header.indexOf('UTR')] = 'UTR Number';
+    header[header.indexOf('Payment Mode')] = 'Payment Method';
+
+    const { docs, headerRow } = parseReportSheet(toSheet(rows), AXIS_REPORT_LAYOUT);
+
+    expect(headerRow).toBe(5);
+    expect(docs).toHaveLength(26);
+    expect(docs[1]).toMatchObject({ UTR: 'AI0000339845', Payment_Mode: 'IFT' });
+  });
+
+  test('reports columns it does not know and optional ones that are gone', () => {
+    const rows = fixtureRows(AXIS_FIXTURE);
+    rows[15][rows[15].indexOf('Beneficiary Bank')] = 'Remitter Bank';
+
+    const { docs, missing, unexpected } = parseReportSheet(toSheet(rows), AXIS_REPORT_LAYOUT);
+
+    expect(docs).toHaveLength(26);
+    expect(missing).toEqual(['Beneficiary Bank']);
+    expect(unexpected).toEqual(['Remitter Bank']);
+  });
+
+  test('fails loudly when a required column disappears', () => {
+    const rows = fixtureRows(AXIS_FIXTURE).map(row => row.filter((_, i) => i !== 11));
+
+    let error;
+    try {
+      parseReportSheet(toSheet(rows), AXIS_REPORT_LAYOUT);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ReportFormatError);
+    expect(error.bank).toBe('axis');
+    expect(error.missing).toEqual(['Status']);
+    expect(error.headerRow).toBe(15);
+  });
+});
+
+test.describe('Kotak Payment Grid Details', () => {
+  test('maps every column, including the one with a trailing space', () => {
+    const { docs, headerRow, missing, unexpected } = parseReportFile(KOTAK_FIXTURE, KOTAK_STATEMENT_LAYOUT);
+
+    expect(headerRow).toBe(0);
+    expect(missing).toEqual([]);
+    expect(unexpected).toEqual([]);
+    expect(docs).toHaveLength(4);
+    expect(docs[0]).toMatchObject({
+      Receiver_Account_Number: '918010012345678',
+      Amount: 2500,
+      UTR_SrNo: '520311204455',
+      Instrument_Status: 'Processed',
+      Payment_Details: 'PAY27001001',
+      Host_Processing_Date_: '22/07/2025 10:16:03',
+    });
+    expect(docs[2]).toMatchObject({ Instrument_Status: 'Rejected', Reject_Remarks: 'Account frozen' });
+    expect(Object.keys(docs[0])).toHaveLength(KOTAK_STATEMENT_LAYOUT.columns.length);
+  });
+
+  test('still matches when the bank tidies header spacing and case', () => {
+    const rows = fixtureRows(KOTAK_FIXTURE);
+    rows[0] = rows[0].map(name => name.trim().toUpperCase());
+    rows.unshift(['Payment Grid Details'], []);
+
+    const { docs, headerRow, missing } = parseReportSheet(toSheet(rows), KOTAK_STATEMENT_LAYOUT);
+
+    expect(headerRow).toBe(2);
+    expect(missing).toEqual([]);
+    expect(docs[3].Host_Processing_Date_).toBe('22/07/2025 11:30:00');
+  });
+
+  test('fails loudly instead of returning no rows for an unknown file', () => {
+    expect(() => parseReportFile(AXIS_FIXTURE, KOTAK_STATEMENT_LAYOUT)).toThrow(ReportFormatError);
+
+    const rows = fixtureRows(KOTAK_FIXTURE);
+    rows[0][rows[0].indexOf('Instrument Status')] = 'State';
+    expect(() => parseReportSheet(toSheet(rows), KOTAK_STATEMENT_LAYOUT)).toThrow(/missing Instrument Status/);
+  });
+});
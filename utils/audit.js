@@ -0,0 +1,175 @@
+import os from 'os';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { RUN_ID } from './runId.js';
+dotenv.config();
+
+const AUDIT_COLL = 'audit_log';
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+
+// Who system-side entries are attributed to (e.g. the service account running the specs).
+const DEFAULT_ACTOR = process.env.AUDIT_ACTOR || 'automation';
+
+/** Actions recorded in the audit log. */
+export const AUDIT_ACTIONS = Object.freeze({
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  OTP_USED: 'otp_used',
+  FILE_GENERATED: 'file_generated',
+  FILE_UPLOADED: 'file_uploaded',
+  BATCH_APPROVED: 'batch_approved',
+  BATCH_STATE_CHANGED: 'batch_state_changed',
+  PAYOUT_STATUS_CHANGED: 'payout_status_changed',
+  STATEMENT_DOWNLOADED: 'statement_downloaded',
+  FILE_ARCHIVED: 'file_archived',
+  FILE_DELETED: 'file_deleted',
+  BOT_COMMAND: 'bot_command',
+});
+
+// Fields covered by an entry's hash, in a fixed order so the hash can be recomputed.
+const HASHED_FIELDS = ['seq', 'at', 'runId', 'host', 'action', 'outcome', 'actor', 'bank', 'batchId', 'fileName', 'fileHash', 'payoutIds', 'details', 'prevHash'];
+
+const indexed = new WeakSet();
+
+function entryHash(entry) {
+  const canonical = JSON.stringify(HASHED_FIELDS.map(field => entry[field] ?? null));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Appends an entry to the audit log. Entries are only ever inserted: each one
+ * takes the next sequence number and the hash of the entry before it, so a
+ * deleted or edited entry breaks the chain (see `verifyAuditChain`).
+ * @param {import('mongodb').Db} db - Database holding the audit log.
+ * @param {Object} entry
+ * @param {string} entry.action - One of `AUDIT_ACTIONS`.
+ * @param {string} [entry.actor] - Bank user or service that acted; defaults to `AUDIT_ACTOR`.
+ * @param {'kotak'|'axis'} [entry.bank] - Bank involved.
+ * @param {import('mongodb').ObjectId} [entry.batchId] - Batch involved.
+ * @param {string} [entry.fileName] - File involved.
+ * @param {string} [entry.fileHash] - SHA-256 of that file.
+ * @param {Array<import('mongodb').ObjectId>} [entry.payoutIds] - Payouts affected.
+ * @param {'ok'|'failed'|'denied'} [entry.outcome] - Whether the action succeeded, or was refused.
+ * @param {Object} [entry.details] - Action-specific fields, e.g. `{from, to}` of a status change.
+ * @returns {Promise<Object>} The stored entry.
+ */
+export async function recordAudit(db, { action, actor = DEFAULT_ACTOR, bank, batchId, fileName, fileHash, payoutIds, outcome = 'ok', details }) {
+  const log = db.collection(AUDIT_COLL);
+  if (!indexed.has(db)) {
+    await log.createIndex({ seq: 1 }, { unique: true });
+    indexed.add(db);
+  }
+
+  // Two runs may append at once; the unique seq makes the loser retry on the new head.
+  for (let attempt = 0; ; attempt++) {
+    const head = await log.find({}, { projection: { seq: 1, hash: 1 } }).sort({ seq: -1 }).limit(1).next();
+    const entry = {
+      seq: (head?.seq ?? 0) + 1,
+      at: new Date(),
+      runId: RUN_ID,
+      host: os.hostname(),
+      action,
+      outcome,
+      actor,
+      bank: bank || null,
+      batchId: batchId || null,
+      fileName: fileName || null,
+      fileHash: fileHash || null,
+      payoutIds: payoutIds || [],
+      // Stored as plain JSON so the hash recomputes the same after a round trip through Mongo
+      details: details ? JSON.parse(JSON.stringify(details)) : null,
+      prevHash: head?.hash ?? null,
+    };
+    entry.hash = entryHash(entry);
+    try {
+      await log.insertOne(entry);
+      return entry;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 10) throw error;
+    }
+  }
+}
+
+/**
+ * Audit logging must never stop a payment flow half-way; failures are logged instead.
+ * @param {import('mongodb').Db} db - Database holding the audit log.
+ * @param {Object} entry - As for `recordAudit`.
+ */
+export async function safeAudit(db, entry) {
+  try {
+    await recordAudit(db, entry);
+  } catch (error) {
+    console.error(`❌ Could not write audit entry '${entry.action}':`, error.message);
+  }
+}
+
+/**
+ * Records payouts moving between statuses.
+ * @param {import('mongodb').Db} db - Database holding the audit log.
+ * @param {Array<import('mongodb').ObjectId>} payoutIds - Payouts that moved.
+ * @param {string|null} from - Previous status (null when mixed or unknown).
+ * @param {string} to - New status.
+ * @param {Object} [context] - `bank`, `batchId`, `fileName`, `actor` and extra `details` such as a reason.
+ */
+export async function auditStatusChange(db, payoutIds, from, to, { details, ...context } = {}) {
+  if (!payoutIds.length) return;
+  await safeAudit(db, {
+    action: AUDIT_ACTIONS.PAYOUT_STATUS_CHANGED,
+    payoutIds,
+    ...context,
+    details: { from, to, count: payoutIds.length, ...details },
+  });
+}
+
+/**
+ * Looks up audit entries, oldest first.
+ * @param {import('mongodb').Db} db - Database holding the audit log and payouts.
+ * @param {Object} [filter]
+ * @param {string} [filter.payoutId] - Business id of a payout.
+ * @param {import('mongodb').ObjectId} [filter.batchId] - Batch.
+ * @param {string} [filter.fileHash] - SHA-256 of a file.
+ * @param {string} [filter.action] - One of `AUDIT_ACTIONS`.
+ * @param {string} [filter.actor] - Bank user or service.
+ * @param {string} [filter.bank] - 'kotak' or 'axis'.
+ * @param {string} [filter.runId] - Automation run.
+ * @param {Date} [filter.from] - Entries at or after this time.
+ * @param {Date} [filter.to] - Entries before this time.
+ * @param {number} [filter.limit] - Maximum entries.
+ * @returns {Promise<Array<Object>>} Matching entries.
+ */
+export async function queryAudit(db, { payoutId, batchId, fileHash, action, actor, bank, runId, from, to, limit = 1000 } = {}) {
+  const query = {};
+  if (payoutId) {
+    const payout = await db.collection(PAYOUTS_COLL).findOne({ payoutId }, { projection: { _id: 1 } });
+    if (!payout) return [];
+    query.payoutIds = payout._id;
+  }
+  if (batchId) query.batchId = batchId;
+  if (fileHash) query.fileHash = fileHash;
+  if (action) query.action = action;
+  if (actor) query.actor = actor;
+  if (bank) query.bank = bank;
+  if (runId) query.runId = runId;
+  if (from || to) query.at = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) };
+  return db.collection(AUDIT_COLL).find(query).sort({ seq: 1 }).limit(limit).toArray();
+}
+
+/**
+ * Walks the whole log and checks every entry's hash and link to the one before.
+ * @param {import('mongodb').Db} db - Database holding the audit log.
+ * @returns {Promise<{ok: boolean, entries: number, problems: Array<{seq: number, problem: string}>}>}
+ */
+export async function verifyAuditChain(db) {
+  const problems = [];
+  let previous = null;
+  let entries = 0;
+  for await (const entry of db.collection(AUDIT_COLL).find({}).sort({ seq: 1 })) {
+    entries++;
+    if (entryHash(entry) !== entry.hash) problems.push({ seq: entry.seq, problem: 'entry was modified' });
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) problems.push({ seq: entry.seq, problem: `entries ${expectedSeq}–${entry.seq - 1} are missing` });
+    if ((entry.prevHash ?? null) !== (previous?.hash ?? null)) problems.push({ seq: entry.seq, problem: 'does not link to the previous entry' });
+    previous = entry;
+  }
+  return { ok: !problems.length, entries, problems };
+}
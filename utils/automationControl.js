@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const CONTROL_COLL = 'automation_control';
+
+// Id of the switch that holds back scheduled payout uploads.
+const PAYOUTS_SWITCH = 'payouts';
+
+/**
+ * Reads whether scheduled payout uploads are paused.
+ * @param {import('mongodb').Db} db - Database holding the control switches.
+ * @returns {Promise<{paused: boolean, by?: string, at?: Date, reason?: string}>}
+ */
+export async function getPauseState(db) {
+  const doc = await db.collection(CONTROL_COLL).findOne({ _id: PAYOUTS_SWITCH });
+  return doc ? { paused: Boolean(doc.paused), by: doc.by, at: doc.at, reason: doc.reason } : { paused: false };
+}
+
+/**
+ * Pauses or resumes scheduled payout uploads. Upload runs check the switch
+ * before claiming payouts; a run already past that point finishes normally.
+ * @param {import('mongodb').Db} db - Database holding the control switches.
+ * @param {boolean} paused - True to pause, false to resume.
+ * @param {Object} [meta]
+ * @param {string} [meta.by] - Who flipped the switch.
+ * @param {string} [meta.reason] - Why.
+ * @returns {Promise<{paused: boolean, wasPaused: boolean}>}
+ */
+export async function setPaused(db, paused, { by = null, reason = null } = {}) {
+  const before = await db.collection(CONTROL_COLL).findOneAndUpdate(
+    { _id: PAYOUTS_SWITCH },
+    { $set: { paused, by, reason, at: new Date() } },
+    { upsert: true, returnDocument: 'before' }
+  );
+  return { paused, wasPaused: Boolean(before?.paused) };
+}
@@ -0,0 +1,92 @@
+import path from 'path';
+import xlsx from 'xlsx';
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { createBatch, claimPayouts } from './batches.js';
+import { validatePayouts, markValidationFailed } from './validatePayout.js';
+import { assignPaymentModes, groupForFiles } from './paymentRouting.js';
+import { getDebitAccount } from './debitAccounts.js';
+import { fileStamp } from './files.js';
+import { AXIS_BULK_TEMPLATE, renderTemplateRows, templateHeader } from './fileTemplates.js';
+dotenv.config();
+
+/**
+ * Column order of the "Admin Bulk XLSX CUSTOM" upload template on Axis GTB.
+ */
+export const AXIS_BULK_COLUMNS = templateHeader(AXIS_BULK_TEMPLATE);
+
+/**
+ * Maps payouts to rows of the Axis bulk template.
+ * The payout id goes into CRN, which Axis echoes back in the Transaction Analysis Report.
+ * @param {Array<Object>} payouts - Payout documents.
+ * @param {Object} [options]
+ * @param {Object} [options.account] - Axis debit account config; defaults to the configured default.
+ * @param {Date} [options.valueDate] - Value date for the whole file.
+ * @returns {Array<Array<string>>} Rows in `AXIS_BULK_COLUMNS` order.
+ */
+export function buildAxisBulkRows(payouts, { account = getDebitAccount('axis'), valueDate = new Date() } = {}) {
+  return renderTemplateRows(AXIS_BULK_TEMPLATE, payouts, { account, context: { date: valueDate } });
+}
+
+/**
+ * Groups payouts by the debit account they pay from (`payout.debitAccountId`,
+ * else the default account), then into the files Axis expects per account.
+ */
+function groupByDebitAccount(payouts) {
+  const byAccount = new Map();
+  for (const payout of payouts) {
+    const account = getDebitAccount('axis', payout.debitAccountId || undefined);
+    if (!byAccount.has(account.id)) byAccount.set(account.id, { account, payouts: [] });
+    byAccount.get(account.id).payouts.push(payout);
+  }
+  return [...byAccount.values()].flatMap(({ account, payouts: list }) =>
+    groupForFiles(list, 'axis').map(group => ({ ...group, account })));
+}
+
+/**
+ * Claims the oldest `processing` payouts, routes each to IMPS/NEFT/RTGS, and builds one Axis
+ * bulk-payment XLSX per debit account, each recorded as its own batch. Payouts keep their
+ * status until their batch is approved (see `markBatchApproved`).
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {string} directory - Where to write the files.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum payouts across all files.
+ * @returns {Promise<{files: Array<{fileName: string, filePath: string, batchId: import('mongodb').ObjectId, count: number, amount: number, accountId: string}>, invalid: Array}>}
+ */
+export async function generateAxisBulkFiles(db, directory, { limit = Number(process.env.AXIS_BATCH_SIZE) || 100 } = {}) {
+  const claim = await claimPayouts(db, { limit });
+
+  // Payouts with bad beneficiary or amount data are set aside so the rest still go out
+  const routed = await assignPaymentModes(db, claim.payouts, 'axis');
+  const { valid, invalid } = validatePayouts(routed);
+  if (invalid.length) await markValidationFailed(db, invalid);
+
+  const stamp = fileStamp();
+  const groups = groupByDebitAccount(valid);
+  const multipleAccounts = new Set(groups.map(g => g.account.id)).size > 1;
+  const files = [];
+
+  for (const [index, group] of groups.entries()) {
+    const batchId = index === 0 ? claim.batchId : new ObjectId();
+    const fileName = `Admin Bulk ${stamp}_${String(batchId).slice(-6)}${multipleAccounts ? `_${group.account.accountNumber}` : ''}.xlsx`;
+    const filePath = path.join(directory, fileName);
+    const sheet = xlsx.utils.aoa_to_sheet([AXIS_BULK_COLUMNS, ...buildAxisBulkRows(group.payouts, { account: group.account })]);
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, 'Sheet1');
+    xlsx.writeFile(workbook, filePath);
+
+    const batch = await createBatch(db, {
+      batchId,
+      bank: 'axis',
+      account: group.account.accountNumber,
+      accountId: group.account.id,
+      fileName,
+      filePath,
+      payouts: group.payouts,
+    });
+    console.log(`✅ Axis bulk file generated: ${fileName} (${group.payouts.length} payouts)`);
+    files.push({ fileName, filePath, batchId: batch._id, count: group.payouts.length, amount: batch.totalAmount, accountId: group.account.id });
+  }
+
+  return { files, invalid };
+}
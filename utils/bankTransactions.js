@@ -0,0 +1,194 @@
+import dotenv from 'dotenv';
+import { upsertStatementRows, referenceKey } from './ingest.js';
+import { mapKotakStatus, mapAxisStatus, extractKotakPayoutRef } from './reconcile.js';
+dotenv.config();
+
+export const BANK_TXN_COLL = process.env.BANK_TXN_COLL || 'bank_transactions';
+
+/** Normalised bank-side outcome of a transaction. */
+export const TXN_STATUS = Object.freeze({
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  PENDING: 'pending',
+  RETURNED: 'returned',
+});
+
+// Bank statements carry IST wall-clock times without a zone.
+const IST_OFFSET_MINUTES = 330;
+const MONTH_ABBR = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Day 0 of Excel's date serials (1899-12-30), as a UTC timestamp.
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+/**
+ * Parses a date or date-time as printed in bank reports, read as IST:
+ * `22/07/2025`, `22-07-2025`, `22-Jul-2025`, `2025-07-22`, optionally followed by
+ * `10:16:03` or `10:16 AM`. Excel date serials and Date objects are accepted too.
+ * @param {*} value - Cell value.
+ * @returns {Date|null} The instant, or null when the cell is empty or not a date.
+ */
+export function parseIstDate(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') {
+    return new Date(EXCEL_EPOCH_MS + Math.round(value * 86400000) - IST_OFFSET_MINUTES * 60000);
+  }
+
+  const text = String(value).trim();
+  const match = text.match(
+    /^(\d{1,4})[-/.]([A-Za-z]{3}|\d{1,2})[-/.](\d{2,4})(?:[,\sT]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/
+  );
+  if (!match) return null;
+
+  let [, first, month, last, hour = 0, minute = 0, second = 0, meridiem] = match;
+  let [year, day] = first.length === 4 ? [Number(first), Number(last)] : [Number(last), Number(first)];
+  if (year < 100) year += 2000;
+  month = /^\d+$/.test(month) ? Number(month) : MONTH_ABBR.indexOf(month.toLowerCase()) + 1;
+  hour = Number(hour);
+  if (meridiem) hour = (hour % 12) + (/p/i.test(meridiem) ? 12 : 0);
+
+  const utc = Date.UTC(year, month - 1, day, hour, Number(minute), Number(second));
+  const check = new Date(utc);
+  if (!month || check.getUTCDate() !== day || check.getUTCMonth() !== month - 1) return null;
+  return new Date(utc - IST_OFFSET_MINUTES * 60000);
+}
+
+/**
+ * Converts an amount cell to integer paise. Handles numbers and text such as
+ * `INR 2,00,000.00` or `₹ 1,500`.
+ * @param {*} value - Cell value.
+ * @returns {number|null} Amount in paise, or null when the cell holds no number.
+ */
+export function toAmountPaise(value) {
+  if (value == null || value === '') return null;
+  const digits = typeof value === 'number' ? value : String(value).replace(/[^0-9.-]+/g, '');
+  if (digits === '') return null;
+  const number = Number(digits);
+  return Number.isFinite(number) ? Math.round(number * 100) : null;
+}
+
+/**
+ * Normalises a bank status to `TXN_STATUS`. "Returned" is kept apart from
+ * failures, since the money went out and came back.
+ * @param {'kotak'|'axis'} bank - Bank the status came from.
+ * @param {string} bankStatus - Status text as the bank prints it.
+ * @returns {string} One of `TXN_STATUS`.
+ */
+export function normalizeTxnStatus(bank, bankStatus) {
+  if (/return/i.test(String(bankStatus || ''))) return TXN_STATUS.RETURNED;
+  const mapped = bank === 'kotak' ? mapKotakStatus(bankStatus) : mapAxisStatus(bankStatus);
+  return mapped || TXN_STATUS.PENDING;
+}
+
+const text = value => (value == null || String(value).trim() === '' ? null : String(value).trim());
+
+// Key of a transaction: bank plus its payment reference, or the UTR when there is none.
+// The UTR is not part of a referenced key, since it is often filled in on a later download.
+const TXN_KEYS = {
+  kotak: row => referenceKey(row.Instrument_Payment_Ref_No, row.UTR_SrNo),
+  axis: row => referenceKey(row.CRN, row.UTR),
+};
+const txnKey = (bank, row) => {
+  const key = TXN_KEYS[bank](row);
+  return key ? `${bank}:${key}` : null;
+};
+
+// Fields the download specs add to statement rows; not part of what the bank sent.
+const NON_RAW_FIELDS = ['_id', 'rowKey', 'keyVersion', 'fetchedAt', 'firstSeenAt', 'lastSeenAt', 'statusChangedAt', 'reconStatus', 'reconciledAt', 'matchedPayoutId', 'needsReview', 'candidateIds', 'reviewReason'];
+const rawRow = row => Object.fromEntries(Object.entries(row).filter(([field]) => !NON_RAW_FIELDS.includes(field)));
+
+/**
+ * Maps a Kotak Payment Grid Details row to a bank transaction.
+ * @param {Object} row - Document produced by `KOTAK_STATEMENT_LAYOUT`.
+ * @returns {Object} Bank transaction.
+ */
+export function fromKotakStatementRow(row) {
+  return {
+    bank: 'kotak',
+    txnKey: txnKey('kotak', row),
+    payoutRef: text(extractKotakPayoutRef(row)),
+    utr: text(row.UTR_SrNo),
+    amountPaise: toAmountPaise(row.Amount),
+    currency: 'INR',
+    status: normalizeTxnStatus('kotak', row.Instrument_Status),
+    bankStatus: text(row.Instrument_Status),
+    rejectReason: text(row.Reject_Remarks),
+    paymentMode: text(row.Package_Code),
+    debitAccount: text(row.Sending_Account_Number),
+    beneficiary: {
+      name: text(row.Receiver_Name),
+      verifiedName: text(row.Verified_Beneficiary_Name),
+      account: text(row.Receiver_Account_Number),
+      ifsc: text(row.IFSC_Code),
+      bank: null,
+    },
+    valueDate: parseIstDate(row.Effective_Date) || parseIstDate(row.Instrument_Date),
+    initiatedAt: parseIstDate(row.Maker_DateTime),
+    approvedAt: parseIstDate(row.Checker_1_DateTime),
+    processedAt: parseIstDate(row.Host_Processing_Date_),
+    fileName: null,
+    batchRef: text(row.Batch_Payment_Ref_No),
+    raw: rawRow(row),
+  };
+}
+
+/**
+ * Maps an Axis Transaction Analysis Report row to a bank transaction.
+ * @param {Object} row - Document produced by `parseAxisBankReport`.
+ * @returns {Object} Bank transaction.
+ */
+export function fromAxisReportRow(row) {
+  return {
+    bank: 'axis',
+    txnKey: txnKey('axis', row),
+    payoutRef: text(row.CRN),
+    utr: text(row.UTR),
+    amountPaise: toAmountPaise(row.Amount),
+    currency: 'INR',
+    status: normalizeTxnStatus('axis', row.Status),
+    bankStatus: text(row.Status),
+    rejectReason: null,
+    paymentMode: text(row.Payment_Mode),
+    debitAccount: null,
+    beneficiary: {
+      name: text(row.Beneficiary_Name),
+      verifiedName: null,
+      account: text(row.Beneficiary_Account_Number),
+      ifsc: text(row.Beneficiary_IFSC),
+      bank: text(row.Beneficiary_Bank),
+    },
+    valueDate: parseIstDate(row.Transaction_Date),
+    initiatedAt: null,
+    approvedAt: null,
+    processedAt: null,
+    fileName: text(row.File_Name),
+    batchRef: null,
+    raw: rawRow(row),
+  };
+}
+
+// Natural key and the fields whose change counts as a bank-side update.
+export const BANK_TXN_KEY = {
+  keyField: 'txnKey',
+  // Recomputed from the bank's row, so transactions stored under the old UTR-based key are re-keyed
+  key: txn => txnKey(txn.bank, txn.raw || {}),
+  version: 2,
+  trackFields: ['status', 'bankStatus', 'rejectReason', 'utr', 'processedAt'],
+};
+
+const FROM_ROW = { kotak: fromKotakStatementRow, axis: fromAxisReportRow };
+
+/**
+ * Stores statement rows of either bank in the shared `bank_transactions` collection.
+ * @param {import('mongodb').Db} db - Database holding the collection.
+ * @param {'kotak'|'axis'} bank - Bank the rows came from.
+ * @param {Array<Object>} rows - Parsed statement rows.
+ * @param {Object} [source] - Where the rows came from (e.g. `{fileName, fetchedAt}`), stored on each transaction.
+ * @returns {Promise<{inserted: number, updated: number, unchanged: number, docs: Array<Object>}>}
+ */
+export async function ingestBankTransactions(db, bank, rows, source = {}) {
+  const fetchedAt = source.fetchedAt || new Date();
+  const txns = rows.map(row => ({ ...FROM_ROW[bank](row), source: { ...source, fetchedAt }, fetchedAt }));
+  const result = await upsertStatementRows(db.collection(BANK_TXN_COLL), txns, BANK_TXN_KEY);
+  console.log(`🏦 ${bank} transactions: ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+  return result;
+}
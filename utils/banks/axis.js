@@ -0,0 +1,256 @@
+import path from 'path';
+import { expect } from '@playwright/test';
+import { ensureDirectoryExists } from '../files.js';
+import { waitForOtp } from '../fetchOtp.js';
+import { requestOtpViaTelegram } from '../sendTelegram.js';
+import { toIsoDate } from '../dateRange.js';
+import { readBankReport, AXIS_REPORT_LAYOUT } from '../reportParser.js';
+import { AUDIT_ACTIONS } from '../audit.js';
+
+const LOGIN_URL = process.env.AXIS_LOGIN_URL || 'https://gtb1.axisbank.com/pre-login-interim';
+const OTP_TIMEOUT_MS = Number(process.env.AXIS_OTP_TIMEOUT_MS) || 60000;
+
+const MONTH_ABBR = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Picks a date in one of the GTB "Choose date" pickers. It goes through the
+ * year and month views, so any month or year, past or future, can be reached.
+ * @param {import('@playwright/test').Page} page - Page showing the picker's toggle.
+ * @param {number} index - Which "Choose date" toggle on the page (0 = first).
+ * @param {Date} date - Date to pick.
+ */
+export async function pickAxisDate(page, index, date) {
+  await page.getByRole('button', { name: /Choose date/ }).nth(index).click();
+  await page.getByRole('button', { name: /Choose month and year/i }).click();
+  await page.waitForTimeout(500);
+
+  // The year view shows 24 years at a time; page towards the wanted year
+  const target = date.getFullYear();
+  const cells = page.getByRole('gridcell');
+  for (let i = 0; i < 10; i++) {
+    const years = (await cells.allInnerTexts()).map(t => Number(t.trim())).filter(y => y > 0);
+    if (!years.length) throw new Error('❌ Axis calendar shows no years');
+    if (target >= Math.min(...years) && target <= Math.max(...years)) break;
+    await page.getByRole('button', { name: target < Math.min(...years) ? /Previous 24 years/i : /Next 24 years/i }).click();
+    await page.waitForTimeout(300);
+  }
+  await page.getByRole('gridcell', { name: String(target), exact: true }).click();
+  await page.getByRole('gridcell', { name: new RegExp(`^${MONTH_ABBR[date.getMonth()]}`, 'i') }).click();
+  await page.waitForTimeout(500);
+
+  // The day view may show the ends of the neighbouring months; only the cells from
+  // the first "1" up to the next one belong to the month picked
+  const days = (await cells.allInnerTexts()).map(t => t.trim());
+  const first = days.indexOf('1');
+  const next = days.indexOf('1', first + 1);
+  const day = days.findIndex((d, i) => i >= first && (next < 0 || i < next) && d === String(date.getDate()));
+  if (first < 0 || day < 0) throw new Error(`❌ Day ${toIsoDate(date)} not found in the Axis calendar`);
+  await cells.nth(day).click();
+  await page.waitForTimeout(1000);
+}
+
+/**
+ * Sets the from/to pickers of a GTB report form.
+ * @param {import('@playwright/test').Page} page - Page showing the report form.
+ * @param {{from: Date, to: Date}} range - First and last day, inclusive.
+ */
+export async function pickAxisDateRange(page, { from, to }) {
+  await pickAxisDate(page, 0, from);
+  await pickAxisDate(page, 1, to);
+  console.log(`📅 Report range: ${toIsoDate(from)} → ${toIsoDate(to)}`);
+}
+
+/**
+ * Parses the downloaded Axis Transaction Analysis Report. The header row is
+ * located by column name, so preamble or column changes don't shift the data.
+ * @param {string} filePath - The path to the XLS file.
+ * @returns {Promise<Array<Object>>} An array of transaction documents.
+ * @throws {ReportFormatError} When the report layout isn't recognised (Telegram is alerted).
+ */
+export async function parseAxisBankReport(filePath) {
+  const rows = await readBankReport(filePath, AXIS_REPORT_LAYOUT);
+  const fetchedAt = new Date();
+  return rows.map(row => ({
+    ...Object.fromEntries(Object.entries(row).map(([key, value]) => [key, value ?? ''])),
+    Amount: typeof row.Amount === 'string'
+      ? parseFloat(row.Amount.replace(/[^0-9.-]+/g, ''))
+      : row.Amount ?? null,
+    fetchedAt,
+  }));
+}
+
+/**
+ * Bank adapter for Axis GTB (corporate net banking).
+ * @param {Object} options
+ * @param {import('@playwright/test').Page} options.page - Page the session runs in.
+ * @param {{corporateId: string, loginId: string, password: string, otpPhone?: string}} options.account - GTB user;
+ *   `otpPhone` is the number its OTPs are sent to.
+ * @param {string} [options.downloadDir] - Where report files are saved.
+ * @param {Function} [options.audit] - Called as `audit(action, fields)` for steps worth an audit entry (OTP use).
+ * @returns {Object} Adapter implementing the bank adapter contract.
+ */
+export function createAxisAdapter({ page, account, downloadDir = './kotakReports', audit = async () => {} }) {
+  /**
+   * Reads the OTP from the `otps` collection, falling back to asking the operator on Telegram.
+   * @param {'login'|'transaction'} purpose - Which OTP prompt is open.
+   * @param {number} requestedAt - Epoch ms the OTP was triggered at.
+   */
+  async function obtainOtp(purpose, requestedAt) {
+    const result = await waitForOtp({
+      bank: 'axis',
+      account: account.otpPhone || account.loginId,
+      purpose,
+      after: requestedAt,
+      timeoutMs: OTP_TIMEOUT_MS,
+    });
+    if (result.status === 'ok') {
+      console.log(`✅ Axis ${purpose} OTP received`);
+      await audit(AUDIT_ACTIONS.OTP_USED, { details: { purpose, source: 'otps' } });
+      return result.otp;
+    }
+
+    console.log(`⚠️ Axis ${purpose} OTP ${result.status}, asking operator on Telegram`);
+    const otp = await requestOtpViaTelegram(
+      `🔐 Axis ${purpose} OTP needed\n👤 Login ID: ${account.loginId}\n⏱ Automatic fetch: ${result.status}`,
+      { bank: 'axis', account: account.otpPhone || account.loginId, purpose }
+    );
+    if (!otp) throw new Error(`❌ Axis ${purpose} OTP not received`);
+    await audit(AUDIT_ACTIONS.OTP_USED, { details: { purpose, source: 'telegram' } });
+    return otp;
+  }
+
+  async function enterOtp(otp) {
+    const otpInput = page.getByRole('textbox', { name: /OTP/i }).first();
+    await otpInput.click();
+    await otpInput.fill(otp);
+    await page.waitForTimeout(1000);
+    await page.getByRole('button', { name: /^(Submit|Verify|Proceed)$/ }).first().click();
+    await page.waitForTimeout(3000);
+  }
+
+  async function login() {
+    await page.goto(LOGIN_URL, { waitUntil: 'networkidle', timeout: 60000 });
+
+    await page.getByRole('textbox', { name: 'Corporate ID*' }).click();
+    await page.getByRole('textbox', { name: 'Corporate ID*' }).fill(account.corporateId);
+    await page.waitForTimeout(1000);
+
+    await page.getByRole('textbox', { name: 'Login ID*' }).click();
+    await page.getByRole('textbox', { name: 'Login ID*' }).fill(account.loginId);
+    await page.waitForTimeout(1000);
+
+    await page.getByRole('button', { name: 'Proceed' }).click();
+    await page.waitForTimeout(3000);
+
+    await page.getByRole('textbox', { name: 'Password*' }).click();
+    await page.getByRole('textbox', { name: 'Password*' }).fill(account.password);
+    await page.waitForTimeout(1000);
+
+    const requestedAt = Date.now();
+    await page.getByRole('button', { name: 'Proceed' }).click();
+    await page.waitForTimeout(3000);
+
+    await enterOtp(await obtainOtp('login', requestedAt));
+  }
+
+  async function uploadBatch(filePath) {
+    const fileName = path.basename(filePath);
+
+    await page.getByRole('button', { name: 'Payments' }).click();
+    await page.waitForTimeout(2000);
+    await page.getByText('New Payments').first().click();
+    await page.waitForTimeout(2000);
+    await page.getByRole('button', { name: 'Vendor Payments' }).first().click();
+    await page.waitForTimeout(2000);
+    await page.getByRole('tab', { name: 'Bulk Payment' }).click();
+    await page.waitForTimeout(2000);
+
+    await page.getByRole('radio', { name: 'Across All Banks' }).check();
+    await page.waitForTimeout(1000);
+    await page.locator('div').filter({ hasText: /^Admin BulkXLSXCUSTOM$/ }).first().click();
+    await page.waitForTimeout(2000);
+
+    console.log(`📁 Uploading file: ${fileName}`);
+    const [fileChooser] = await Promise.all([
+      page.waitForEvent('filechooser'),
+      page.$eval('input[type="file"]', input => input.click()),
+    ]);
+    await fileChooser.setFiles(filePath);
+    await page.waitForTimeout(3000);
+
+    await page.getByRole('button', { name: 'Proceed' }).click();
+    await page.waitForTimeout(5000);
+
+    await expect(page.getByText('Validation Completed')).toBeVisible({ timeout: 60000 });
+    console.log('✅ File validation completed');
+
+    await page.getByRole('button', { name: 'Proceed' }).click();
+    await page.waitForTimeout(3000);
+    return { fileName, remark: 'Validation Completed', accepted: true };
+  }
+
+  // Axis pays the file just uploaded in this session, so no file name is needed.
+  async function approveBatch() {
+    const requestedAt = Date.now();
+    await page.getByRole('button', { name: 'Make Payment' }).click();
+    await page.waitForTimeout(3000);
+
+    await enterOtp(await obtainOtp('transaction', requestedAt));
+
+    let approved = false;
+    try {
+      await expect(page.locator('div').filter({ hasText: /^Fund transfer successful$/ })).toBeVisible({ timeout: 30000 });
+      approved = true;
+      console.log('✅ Payment processed successfully!');
+    } catch (error) {
+      console.log('⚠️ Success message not found, checking for other indicators...');
+    }
+
+    await page.getByRole('button', { name: 'Back to Payment Overview' }).click();
+    await page.waitForTimeout(3000);
+    return { approved };
+  }
+
+  /**
+   * Downloads the Transaction Analysis Report for a date range.
+   * @param {Object} [options]
+   * @param {Date} [options.from] - First day of the report; defaults to `to`.
+   * @param {Date} [options.to] - Last day of the report; defaults to today.
+   * @param {Function} [options.onFile] - Awaited with `{ filePath, docs, from, to }` for the downloaded report.
+   * @returns {Promise<string[]>} Paths of the downloaded files.
+   */
+  async function downloadStatement({ from, to = new Date(), onFile } = {}) {
+    from = from || to;
+    ensureDirectoryExists(downloadDir);
+
+    await page.getByRole('button', { name: 'Reports' }).click();
+    await page.waitForTimeout(2000);
+    await page.getByText('Transaction Analysis Report').click();
+    await page.waitForTimeout(2000);
+    await page.getByRole('radio', { name: 'Admin Report' }).check();
+    await page.waitForTimeout(2000);
+    await pickAxisDateRange(page, { from, to });
+    await page.getByRole('button', { name: 'Generate Report' }).click();
+    await page.waitForTimeout(5000);
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.getByRole('button', { name: 'Download All' }).click(),
+      page.locator('div').filter({ hasText: /^XLS$/ }).click(),
+    ]);
+
+    const filePath = path.join(downloadDir, `axis_report_${toIsoDate(from)}_to_${toIsoDate(to)}.xls`);
+    await download.saveAs(filePath);
+    console.log(`✅ Report saved: ${filePath}`);
+
+    if (onFile) await onFile({ filePath, docs: await parseAxisBankReport(filePath), from, to });
+    return [filePath];
+  }
+
+  async function logout() {
+    await page.getByRole('button', { name: /Logout/i }).click();
+    await page.waitForTimeout(2000);
+  }
+
+  return { bank: 'axis', login, uploadBatch, approveBatch, downloadStatement, logout };
+}
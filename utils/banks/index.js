@@ -0,0 +1,100 @@
+import path from 'path';
+import { createKotakAdapter } from './kotak.js';
+import { createAxisAdapter } from './axis.js';
+import { safeAudit, AUDIT_ACTIONS } from '../audit.js';
+import { hashFile } from '../fileArchive.js';
+
+/**
+ * Methods every bank adapter implements. Specs and runners only talk to banks
+ * through these, so adding a bank means adding an adapter here.
+ *
+ * - `login()` – signs in, including any OTP step.
+ * - `uploadBatch(filePath)` – uploads a payment file; resolves `{ fileName, remark, accepted }`
+ *   (plus `partiallyRejected` when some records were rejected).
+ * - `approveBatch(fileName)` – authorises an uploaded file; resolves `{ approved }`, false when the bank
+ *   did not confirm it (plus `status` when the bank shows one).
+ * - `downloadStatement(options)` – downloads statement files, calling `options.onFile({ filePath, docs })`
+ *   for each; resolves the file paths.
+ * - `logout()` – ends the session.
+ *
+ * Adapters may also offer `fetchRejectedRecords(fileName)` for banks that reject
+ * single records of an upload (resolves `[{ ref, reason }]`).
+ */
+export const BANK_ADAPTER_METHODS = ['login', 'uploadBatch', 'approveBatch', 'downloadStatement', 'logout'];
+
+const ADAPTERS = {
+  kotak: createKotakAdapter,
+  axis: createAxisAdapter,
+};
+
+/**
+ * Creates the adapter for a bank. With a `db`, logins, logouts, OTP use,
+ * uploads, approvals and statement downloads are written to the audit log.
+ * @param {'kotak'|'axis'} bank - Bank key.
+ * @param {Object} options - Passed to the bank's adapter factory (`page`, `account`, `downloadDir`).
+ * @param {import('mongodb').Db} [options.db] - Database holding the audit log.
+ * @returns {Object} Adapter implementing `BANK_ADAPTER_METHODS`.
+ */
+export function createBankAdapter(bank, { db, ...options }) {
+  const factory = ADAPTERS[bank];
+  if (!factory) {
+    throw new Error(`❌ No bank adapter for '${bank}'. Known banks: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  const actor = options.account?.crn || options.account?.loginId;
+  const audit = (action, fields = {}) => (db ? safeAudit(db, { action, actor, bank, ...fields }) : Promise.resolve());
+
+  const adapter = factory({ ...options, audit });
+  const missing = BANK_ADAPTER_METHODS.filter(m => typeof adapter[m] !== 'function');
+  if (missing.length) {
+    throw new Error(`❌ Bank adapter '${bank}' is missing: ${missing.join(', ')}`);
+  }
+  return db ? withAudit(adapter, audit) : adapter;
+}
+
+/**
+ * Wraps the contract methods so each call is audited, failed calls included.
+ * @param {Object} adapter - Adapter from a bank factory.
+ * @param {Function} audit - `audit(action, fields)` bound to the bank and user.
+ * @returns {Object} Adapter with the same methods.
+ */
+function withAudit(adapter, audit) {
+  async function audited(action, fields, call, describe = () => ({})) {
+    try {
+      const result = await call();
+      await audit(action, { ...fields, ...describe(result) });
+      return result;
+    } catch (error) {
+      await audit(action, { ...fields, outcome: 'failed', details: { ...fields.details, error: error.message } });
+      throw error;
+    }
+  }
+
+  return {
+    ...adapter,
+    login: () => audited(AUDIT_ACTIONS.LOGIN, {}, () => adapter.login()),
+    logout: () => audited(AUDIT_ACTIONS.LOGOUT, {}, () => adapter.logout()),
+    uploadBatch: filePath => audited(
+      AUDIT_ACTIONS.FILE_UPLOADED,
+      { fileName: path.basename(filePath), fileHash: hashFile(filePath) },
+      () => adapter.uploadBatch(filePath),
+      ({ fileName, remark, accepted, partiallyRejected }) => ({
+        fileName,
+        outcome: accepted ? 'ok' : 'failed',
+        details: { remark, accepted, partiallyRejected: Boolean(partiallyRejected) },
+      })
+    ),
+    approveBatch: fileName => audited(
+      AUDIT_ACTIONS.BATCH_APPROVED,
+      { fileName: fileName || null },
+      () => adapter.approveBatch(fileName),
+      ({ approved, status }) => ({ outcome: approved ? 'ok' : 'failed', details: { approved, ...(status ? { status } : {}) } })
+    ),
+    downloadStatement: options => audited(
+      AUDIT_ACTIONS.STATEMENT_DOWNLOADED,
+      {},
+      () => adapter.downloadStatement(options),
+      filePaths => ({ details: { files: filePaths.map(f => path.basename(f)) } })
+    ),
+  };
+}
@@ -0,0 +1,326 @@
+import path from 'path';
+import xlsx from 'xlsx';
+import { expect } from '@playwright/test';
+import { waitForOtp } from '../fetchOtp.js';
+import { ensureDirectoryExists } from '../files.js';
+import { readBankReport, KOTAK_STATEMENT_LAYOUT } from '../reportParser.js';
+import { AUDIT_ACTIONS } from '../audit.js';
+
+const LOGIN_URL = process.env.KOTAK_LOGIN_URL || 'https://netbanking.kotak.com/knb2/';
+
+// Message Kotak shows once it has taken the authorisation; the file then leaves the Payments list.
+const APPROVED_MESSAGE = /(approved|authori[sz]ed) successfully/i;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Waits for the OTP Kotak sent to this account and throws if none can be used.
+ * @param {Object} request - Passed to `waitForOtp` (account, purpose, after).
+ * @param {string} label - Used in logs and errors.
+ * @returns {Promise<string>} The OTP.
+ */
+async function requireOtp(request, label) {
+  const result = await waitForOtp({ bank: 'kotak', ...request });
+  if (result.status === 'expired') {
+    throw new Error(`❌ ${label} expired (received ${result.receivedAt.toISOString()})`);
+  }
+  if (result.status !== 'ok') throw new Error(`❌ ${label} ${result.status}${result.message ? `: ${result.message}` : ''}`);
+  console.log(`✅ ${label} received`);
+  return result.otp;
+}
+
+/**
+ * Reads the rejected-records report Kotak produces for a partially rejected upload.
+ * Column names vary between report versions, so the payout reference and reason
+ * columns are picked by name.
+ * @param {string} filePath - Downloaded report.
+ * @returns {Array<{ref: string, reason: string, raw: Object}>} One entry per rejected record.
+ */
+export function parseKotakRejectedRecords(filePath) {
+  const wb = xlsx.readFile(filePath);
+  const rows = xlsx.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: '' });
+  if (!rows.length) return [];
+
+  const headers = Object.keys(rows[0]);
+  const refKey = headers.find(h => /payment\s*ref|ref(erence)?\s*no|payout/i.test(h));
+  const reasonKey = headers.find(h => /reason|reject|error|remark/i.test(h));
+  if (!refKey) throw new Error(`❌ No payment reference column in rejected records report (${headers.join(', ')})`);
+
+  return rows
+    .filter(r => String(r[refKey]).trim())
+    .map(r => ({
+      ref: String(r[refKey]).trim(),
+      reason: reasonKey ? String(r[reasonKey]).trim() : 'Rejected by bank',
+      raw: r,
+    }));
+}
+
+/**
+ * Bank adapter for Kotak CMS NetIT (knb2).
+ * @param {Object} options
+ * @param {import('@playwright/test').Page} options.page - Page the session runs in.
+ * @param {{crn: string, password: string, otpPhone?: string, initials?: string}} options.account - Net banking user;
+ *   `otpPhone` is the number its OTPs are sent to.
+ * @param {string} [options.downloadDir] - Where statement files are saved.
+ * @param {Function} [options.audit] - Called as `audit(action, fields)` for steps worth an audit entry (OTP use).
+ * @returns {Object} Adapter implementing the bank adapter contract.
+ */
+export function createKotakAdapter({ page, account, downloadDir = './KotakReports', audit = async () => {} }) {
+  const frame = page.frameLocator('iframe[name="knb2ContainerFrame"]');
+  const otpAccount = account.otpPhone || account.crn;
+
+  async function login() {
+    await page.goto(LOGIN_URL);
+    await page.waitForTimeout(3000);
+    await page.getByRole('textbox', { name: 'CRN, Username or Card Number' }).fill(account.crn);
+    await page.waitForTimeout(2000);
+    await page.getByRole('textbox', { name: 'Password' }).fill(account.password);
+    await page.waitForTimeout(2000);
+    const requestedAt = Date.now();
+    await page.getByRole('button', { name: 'Secure login' }).click();
+
+    const otp = await requireOtp({ account: otpAccount, purpose: 'login', after: requestedAt }, 'Login OTP');
+    await audit(AUDIT_ACTIONS.OTP_USED, { details: { purpose: 'login', source: 'otps' } });
+    await page.getByRole('textbox', { name: 'otpMobile' }).fill(otp);
+    await page.waitForTimeout(2000);
+    await page.getByRole('button', { name: 'Secure login' }).click();
+    await page.waitForTimeout(3000);
+    await page.getByText('CMS NetIT-New').click();
+    await page.waitForTimeout(2000);
+  }
+
+  async function uploadBatch(filePath) {
+    const fileName = path.basename(filePath);
+
+    await frame.getByRole('link', { name: 'Payments' }).click();
+    await frame.getByRole('link', { name: 'File Upload' }).click();
+    await page.waitForTimeout(2000);
+    await frame.getByRole('button', { name: 'File Upload' }).click();
+    await page.waitForTimeout(2000);
+    await frame.locator('#clientMapCode-niceSelect').getByText('Select').click();
+    await frame.getByRole('listitem', { name: /Payments.*EXCEL.*CSV.*UPLOAD/i }).click();
+    await page.waitForTimeout(2000);
+
+    const [fileChooser] = await Promise.all([
+      page.waitForEvent('filechooser'),
+      frame.getByRole('button', { name: 'Select File' }).click(),
+    ]);
+    await fileChooser.setFiles(filePath);
+    await frame.getByRole('button', { name: 'Upload', exact: true }).click();
+    console.log(`🚀 File '${fileName}' upload initiated.`);
+    await page.waitForTimeout(10000);
+
+    await frame.getByLabel('Refresh').click();
+    await page.waitForTimeout(5000);
+    await frame.getByLabel('Refresh').click();
+    await page.waitForTimeout(3000);
+    await frame.getByLabel('Refresh').click();
+
+    const fileRow = frame.getByRole('row').filter({ hasText: fileName });
+    const remarksCell = fileRow.locator('td.x-grid-cell-col_tskslRemarks');
+    await expect(remarksCell).toHaveText(/File Uploaded Successfully|Rejected Records|Error/i, { timeout: 90000 });
+    const remark = await remarksCell.innerText();
+    console.log(`📋 Upload remark: "${remark}"`);
+
+    return {
+      fileName,
+      remark,
+      accepted: remark.includes('File Uploaded Successfully') && !remark.includes('Rejected'),
+      // Kotak keeps the good records of the file pending approval and lists the rest separately
+      partiallyRejected: /Rejected Records/i.test(remark),
+    };
+  }
+
+  /**
+   * Downloads the rejected-records report of an uploaded file from the File Upload list.
+   * @param {string} fileName - File whose upload reported rejected records.
+   * @returns {Promise<Array<{ref: string, reason: string, raw: Object}>>} Rejected records.
+   */
+  async function fetchRejectedRecords(fileName) {
+    ensureDirectoryExists(downloadDir);
+    await frame.getByRole('link', { name: 'Payments' }).click();
+    await frame.getByRole('link', { name: 'File Upload' }).click();
+    await page.waitForTimeout(3000);
+
+    await frame.getByRole('row').filter({ hasText: fileName }).locator('[id^="btnMore_"]').click();
+    await page.waitForTimeout(1000);
+    await frame.getByRole('link', { name: /Rejected Records/i }).click();
+    await page.waitForTimeout(3000);
+
+    const dlPromise = page.waitForEvent('download');
+    await frame.getByTitle(/Download/i).first().click();
+    await page.waitForTimeout(2000);
+    await frame.getByRole('link', { name: 'XLS' }).click();
+    const download = await dlPromise;
+
+    const filePath = path.join(downloadDir, `rejected_${path.basename(fileName, path.extname(fileName))}.xls`);
+    await download.saveAs(filePath);
+    const records = parseKotakRejectedRecords(filePath);
+    console.log(`📋 ${records.length} rejected records in '${fileName}'`);
+    return records;
+  }
+
+  /**
+   * Approves an uploaded file with Approve All and the transaction OTP, then reads
+   * Kotak's answer to the authorisation.
+   * @param {string} [fileName] - File to approve; defaults to the first row of the list.
+   * @returns {Promise<{approved: boolean, status: string}>} `approved` only when Kotak confirmed the
+   *   authorisation; `status` is the message it showed, if any.
+   */
+  async function approveBatch(fileName) {
+    await frame.getByRole('link', { name: 'Payments' }).click();
+    await page.waitForTimeout(2000);
+    const moreButton = fileName
+      ? frame.getByRole('row').filter({ hasText: fileName }).locator('[id^="btnMore_"]')
+      : frame.locator('#btnMore_0');
+    await moreButton.click();
+    await frame.getByRole('link', { name: 'Approve' }).click();
+    await page.waitForTimeout(2000);
+    await frame.getByRole('button', { name: 'Approve All' }).click();
+    await page.waitForTimeout(2000);
+    const requestedAt = Date.now();
+    await frame.getByRole('button', { name: 'Continue' }).click();
+
+    const otp = await requireOtp({ account: otpAccount, purpose: 'transaction', after: requestedAt }, 'Approval OTP');
+    await audit(AUDIT_ACTIONS.OTP_USED, { fileName: fileName || null, details: { purpose: 'transaction', source: 'otps' } });
+    const otpInput = frame.locator('#AuthDialog-innerCt input#token');
+    await otpInput.focus();
+    await otpInput.fill(otp);
+    await page.waitForTimeout(2000);
+    await frame.getByRole('button', { name: 'Submit' }).click();
+
+    // Anything but the confirmation (a wrong OTP, a portal error, no answer) leaves the file for review
+    let status = '';
+    try {
+      const confirmation = frame.getByText(APPROVED_MESSAGE).first();
+      await expect(confirmation).toBeVisible({ timeout: 60000 });
+      status = (await confirmation.innerText()).trim();
+    } catch (error) {
+      status = (await frame.getByRole('status').first().innerText({ timeout: 2000 }).catch(() => '')).trim();
+      console.log('⚠️ Approval confirmation not shown');
+    }
+    const approved = APPROVED_MESSAGE.test(status);
+    console.log(`📋 Approval status: "${status || 'none'}"`);
+
+    await frame.getByLabel('Refresh').click();
+    await page.waitForTimeout(5000);
+    await frame.getByLabel('Refresh').click();
+    return { approved, status };
+  }
+
+  /**
+   * Picks a day in the open Ext JS date picker, moving month by month from the
+   * month it shows to the one `date` is in.
+   * @param {Date} date - Day to pick.
+   */
+  async function pickCalendarDate(date) {
+    const picker = frame.locator('.x-datepicker:visible');
+    const label = (await picker.locator('.x-datepicker-month').innerText()).trim(); // e.g. "July 2025"
+    const [monthName, yearText] = label.split(/\s+/);
+    const shown = Number(yearText) * 12 + MONTHS.findIndex(m => m.startsWith(monthName.slice(0, 3)));
+    const wanted = date.getFullYear() * 12 + date.getMonth();
+    if (Number.isNaN(shown)) throw new Error(`❌ Could not read the date picker month ('${label}')`);
+
+    const step = wanted < shown ? picker.locator('.x-datepicker-prev') : picker.locator('.x-datepicker-next');
+    for (let i = 0; i < Math.abs(wanted - shown); i++) {
+      await step.click();
+      await page.waitForTimeout(300);
+    }
+
+    // Days of the neighbouring months are shown greyed out with the same numbers
+    await picker
+      .locator('td.x-datepicker-cell:not(.x-datepicker-prevday):not(.x-datepicker-nextday)')
+      .getByRole('link', { name: date.getDate().toString(), exact: true })
+      .click();
+  }
+
+  /**
+   * Downloads every processed file of the Payment Center for one day.
+   * @param {Object} options
+   * @param {Date} options.date - Day to download.
+   * @param {Function} [options.onFile] - Awaited with `{ filePath, docs, pageIndex, fileIndex }` per downloaded file.
+   * @returns {Promise<string[]>} Paths of the downloaded files.
+   */
+  async function downloadStatement({ date, onFile }) {
+    ensureDirectoryExists(downloadDir);
+    const safeDate = date.toLocaleDateString('en-GB').replace(/\//g, '-');
+    const files = [];
+
+    await frame.getByRole('link', { name: 'Payments' }).click();
+    await frame.getByRole('link', { name: 'Payment Center' }).click();
+    await page.waitForTimeout(3000);
+
+    await frame.locator('#tool-1074').click();
+    await frame.getByPlaceholder('All').click();
+    await frame.locator('#uncheckAllLink').click();
+    await page.waitForTimeout(1000);
+    await frame.getByRole('option', { name: 'Processed' }).locator('span').click();
+    await frame.locator('#component-1047').click();
+    await page.waitForTimeout(3000);
+    await pickCalendarDate(date);
+    await page.waitForTimeout(3000);
+    await frame.getByRole('button', { name: 'View' }).click();
+    await page.waitForTimeout(500);
+
+    let pageIndex = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const fileRows = frame.locator('#gridview-1102-body > tr.x-grid-row');
+      const fileCount = await fileRows.count();
+      console.log(`📄 Page ${pageIndex} | Found ${fileCount} files`);
+
+      for (let i = 0; i < fileCount; i++) {
+        console.log(`⚙️  Processing file ${i + 1}/${fileCount}`);
+
+        await frame.locator(`#btnMore_${i}`).click();
+        await page.waitForTimeout(1000);
+        await frame.getByRole('link', { name: 'View Record' }).click();
+        await page.waitForTimeout(5000);
+
+        const dlPromise = page.waitForEvent('download');
+        await frame.getByTitle('Download Payment Grid Details').click();
+        await page.waitForTimeout(3000);
+        await frame.getByRole('link', { name: 'XLS' }).click();
+        const download = await dlPromise;
+
+        const filePath = path.join(downloadDir, `payment_${safeDate}_p${pageIndex}_f${i + 1}.xls`);
+        await download.saveAs(filePath);
+        console.log(`✅ Downloaded XLS → ${filePath}`);
+        files.push(filePath);
+
+        const docs = await readBankReport(filePath, KOTAK_STATEMENT_LAYOUT);
+        if (onFile) await onFile({ filePath, docs, pageIndex, fileIndex: i + 1 });
+
+        // Back to the file list
+        await page.waitForTimeout(4000);
+        await frame.getByRole('link', { name: 'Payments' }).click();
+        await frame.getByRole('link', { name: 'Payment Center' }).click();
+        await page.waitForTimeout(3000);
+      }
+
+      const nextBtn = frame.locator('a[role="button"][data-qtip="Next Page"]');
+      const cls = await nextBtn.getAttribute('class');
+      if (cls?.includes('x-item-disabled')) {
+        hasNextPage = false;
+        console.log('🚫 No more file pages');
+      } else {
+        console.log('👉 Moving to next file page');
+        await nextBtn.click();
+        await page.waitForTimeout(2000);
+        pageIndex++;
+      }
+    }
+
+    return files;
+  }
+
+  async function logout() {
+    await page.waitForTimeout(3000);
+    await page.getByRole('listitem').filter({ hasText: account.initials || 'AK' }).locator('span').click();
+    await page.waitForTimeout(3000);
+    await page.locator('app-header').getByText('Log out').click();
+  }
+
+  return { bank: 'kotak', login, uploadBatch, fetchRejectedRecords, approveBatch, downloadStatement, logout };
+}
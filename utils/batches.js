@@ -0,0 +1,539 @@
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { archiveFile } from './fileArchive.js';
+import { safeAudit, auditStatusChange, AUDIT_ACTIONS } from './audit.js';
+dotenv.config();
+
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+const BATCHES_COLL = 'batches';
+
+// How long a run may hold claimed payouts before they are handed back.
+const LEASE_MS = Number(process.env.PAYOUT_LEASE_MS) || 30 * 60 * 1000;
+
+// Payouts of batches in these states have not reached the bank and may be released.
+// A batch caught `uploading` may have reached it, and rejected batches keep their
+// payouts while they wait for a retry.
+const RELEASABLE_BATCH_STATES = ['generated'];
+
+// Upload attempts per batch, and the wait before the first retry (doubled for each further one).
+const MAX_ATTEMPTS = Number(process.env.BATCH_MAX_ATTEMPTS) || 3;
+const RETRY_BACKOFF_MS = Number(process.env.BATCH_RETRY_BACKOFF_MS) || 15 * 60 * 1000;
+
+/**
+ * Lifecycle of a payout batch and the states each one may move to.
+ */
+export const BATCH_TRANSITIONS = {
+  generated: ['uploading', 'upload_rejected'],
+  // Recorded before the file is sent, so a run dying mid-upload never frees its payouts;
+  // an operator settles such a batch through review
+  uploading: ['uploaded', 'upload_rejected', 'needs_review', 'closed'],
+  uploaded: ['upload_rejected', 'approved', 'needs_review'],
+  upload_rejected: ['generated', 'closed'],
+  approved: ['reconciled'],
+  // Payment was submitted but not confirmed; only reconciliation or an operator settles it
+  needs_review: ['reconciled', 'closed'],
+  reconciled: ['closed'],
+  closed: [],
+};
+
+export const BATCH_STATES = Object.keys(BATCH_TRANSITIONS);
+
+/**
+ * Records a freshly generated bank file as a batch, archives the file and points
+ * its payouts at it.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {Object} batch
+ * @param {'kotak'|'axis'} batch.bank - Bank the file is for.
+ * @param {string} batch.account - Debit account the file pays from.
+ * @param {string} [batch.accountId] - Id of that account in `config/debitAccounts.json`.
+ * @param {string} batch.fileName - Name of the generated file.
+ * @param {string} batch.filePath - Path of the generated file, which is archived.
+ * @param {Array<Object>} batch.payouts - Payout documents in the file.
+ * @param {import('mongodb').ObjectId} [batch.batchId] - Id the payouts were claimed under.
+ * @returns {Promise<Object>} The stored batch document.
+ */
+export async function createBatch(db, { bank, account, accountId, fileName, filePath, payouts, batchId = new ObjectId() }) {
+  const now = new Date();
+  const payoutIds = payouts.map(p => p._id);
+  const archived = await archiveFile(db, filePath, { bank, kind: 'upload', account, batchId, attempt: 1, payoutIds });
+  const doc = {
+    _id: batchId,
+    bank,
+    account,
+    ...(accountId ? { accountId } : {}),
+    fileName,
+    fileHash: archived.sha256,
+    fileArchiveId: archived._id,
+    payoutIds,
+    count: payouts.length,
+    totalAmount: payouts.reduce((sum, p) => sum + Number(p.amount || 0), 0),
+    state: 'generated',
+    attempts: 1,
+    stateTimestamps: { generated: now },
+    history: [{ state: 'generated', at: now }],
+    createdAt: now,
+  };
+  await db.collection(BATCHES_COLL).insertOne(doc);
+  await db.collection(PAYOUTS_COLL).updateMany(
+    { _id: { $in: doc.payoutIds } },
+    { $set: { batchId } }
+  );
+  console.log(`📦 Batch ${batchId} recorded for ${fileName} (${doc.count} payouts)`);
+  await safeAudit(db, {
+    action: AUDIT_ACTIONS.FILE_GENERATED,
+    bank,
+    batchId,
+    fileName,
+    fileHash: doc.fileHash,
+    payoutIds,
+    details: { account, count: doc.count, totalAmount: doc.totalAmount, attempt: 1 },
+  });
+  return doc;
+}
+
+/**
+ * Atomically claims the oldest `processing` payouts for a new batch. Each payout
+ * is moved to `batching` with the batch id and a lease expiry in one update, so
+ * two overlapping runs can never put the same payout into two bank files.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum payouts to claim.
+ * @param {Object} [options.filter] - Extra conditions on the payouts to claim.
+ * @param {number} [options.leaseMs] - Lease length.
+ * @returns {Promise<{batchId: import('mongodb').ObjectId, payouts: Array<Object>}>} Claimed payouts, oldest first.
+ */
+export async function claimPayouts(db, { limit = 100, filter = {}, leaseMs = LEASE_MS } = {}) {
+  await releaseExpiredLeases(db);
+
+  const batchId = new ObjectId();
+  const payouts = [];
+  while (payouts.length < limit) {
+    const payout = await db.collection(PAYOUTS_COLL).findOneAndUpdate(
+      { ...filter, status: 'processing' },
+      { $set: { status: 'batching', batchId, leaseExpiresAt: new Date(Date.now() + leaseMs) } },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+    if (!payout) break;
+    payouts.push(payout);
+  }
+
+  if (payouts.length) console.log(`🔒 Claimed ${payouts.length} payouts for batch ${batchId}`);
+  await auditStatusChange(db, payouts.map(p => p._id), 'processing', 'batching', { batchId });
+  return { batchId, payouts };
+}
+
+/**
+ * Extends the lease on a batch's payouts. Throws if any of them is no longer
+ * held by the batch, so a run never uploads payouts another run has taken over.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {import('mongodb').ObjectId} batchId - Batch that claimed the payouts.
+ * @param {number} expected - Number of payouts the batch claimed.
+ * @param {number} [leaseMs] - New lease length.
+ */
+export async function renewLease(db, batchId, expected, leaseMs = LEASE_MS) {
+  const result = await db.collection(PAYOUTS_COLL).updateMany(
+    { batchId, status: 'batching' },
+    { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+  );
+  if (result.matchedCount !== expected) {
+    throw new Error(`❌ Batch ${batchId} holds ${result.matchedCount}/${expected} of its payouts; lease lost`);
+  }
+}
+
+/**
+ * Hands payouts whose lease has expired back to `processing`. Payouts of a batch
+ * that may already be at the bank (uploading or later) are never released.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @returns {Promise<number>} Number of payouts released.
+ */
+export async function releaseExpiredLeases(db) {
+  const batchIds = await db.collection(PAYOUTS_COLL).distinct('batchId', {
+    status: 'batching',
+    leaseExpiresAt: { $lt: new Date() },
+  });
+  if (!batchIds.length) return 0;
+
+  const held = await db.collection(BATCHES_COLL)
+    .find({ _id: { $in: batchIds }, state: { $nin: RELEASABLE_BATCH_STATES } }, { projection: { state: 1 } })
+    .toArray();
+  const releasable = batchIds.filter(id => !held.some(b => b._id.equals(id)));
+  const stuck = held.filter(b => b.state === 'uploading').map(b => b._id);
+  const atBank = held.filter(b => b.state !== 'uploading').map(b => b._id);
+  if (stuck.length) console.warn(`⚠️ Batches stuck uploading, check the portal and /review them: ${stuck.join(', ')}`);
+  if (atBank.length) console.warn(`⚠️ Expired leases kept for batches at the bank or awaiting retry: ${atBank.join(', ')}`);
+
+  let released = 0;
+  for (const batchId of releasable) {
+    released += await releaseBatchPayouts(db, batchId, { expiredOnly: true });
+  }
+  return released;
+}
+
+/**
+ * Lists batches left `uploading` whose payouts' lease has run out: the run that
+ * sent the file died before the bank answered, and only an operator can tell
+ * whether the file arrived.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {Date} [now] - Time to compare the leases against.
+ * @returns {Promise<Array<Object>>} Batches, oldest first.
+ */
+export async function findStuckUploads(db, now = new Date()) {
+  const batchIds = await db.collection(PAYOUTS_COLL).distinct('batchId', {
+    status: 'batching',
+    leaseExpiresAt: { $lt: now },
+  });
+  if (!batchIds.length) return [];
+  return db.collection(BATCHES_COLL).find({ _id: { $in: batchIds }, state: 'uploading' }).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Returns a batch's claimed payouts to `processing`, e.g. after the bank rejected the file.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {import('mongodb').ObjectId} batchId - Batch that claimed the payouts.
+ * @param {Object} [options]
+ * @param {boolean} [options.expiredOnly] - Only release payouts whose lease has run out.
+ * @returns {Promise<number>} Number of payouts released.
+ */
+export async function releaseBatchPayouts(db, batchId, { expiredOnly = false } = {}) {
+  const filter = { batchId, status: 'batching' };
+  if (expiredOnly) filter.leaseExpiresAt = { $lt: new Date() };
+  const ids = await db.collection(PAYOUTS_COLL).distinct('_id', filter);
+  const result = await db.collection(PAYOUTS_COLL).updateMany({ ...filter, _id: { $in: ids } }, {
+    $set: { status: 'processing' },
+    $unset: { batchId: '', leaseExpiresAt: '' },
+  });
+  if (result.modifiedCount) console.log(`🔓 Released ${result.modifiedCount} payouts from batch ${batchId}`);
+  await auditStatusChange(db, ids, 'batching', 'processing', {
+    batchId,
+    details: { reason: expiredOnly ? 'lease expired' : 'batch rejected' },
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Moves a batch to a new state. The update only applies if the batch is still in
+ * a state that allows the move, so concurrent or out-of-order calls cannot skip a step.
+ * @param {import('mongodb').Db} db - Database holding batches.
+ * @param {import('mongodb').ObjectId} batchId - Batch to move.
+ * @param {string} toState - Target state, one of `BATCH_STATES`.
+ * @param {Object} [details] - Extra fields stored on the batch and in the history entry (e.g. a remark).
+ * @returns {Promise<Object>} The updated batch.
+ * @throws {Error} When the transition is not allowed from the batch's current state.
+ */
+export async function transitionBatch(db, batchId, toState, details = {}) {
+  if (!BATCH_TRANSITIONS[toState]) throw new Error(`❌ Unknown batch state '${toState}'`);
+
+  const fromStates = BATCH_STATES.filter(s => BATCH_TRANSITIONS[s].includes(toState));
+  const now = new Date();
+  const batch = await db.collection(BATCHES_COLL).findOneAndUpdate(
+    { _id: batchId, state: { $in: fromStates } },
+    {
+      $set: { ...details, state: toState, [`stateTimestamps.${toState}`]: now },
+      $push: { history: { state: toState, at: now, ...details } },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!batch) {
+    const current = await db.collection(BATCHES_COLL).findOne({ _id: batchId }, { projection: { state: 1 } });
+    throw new Error(`❌ Illegal batch transition for ${batchId}: ${current?.state ?? 'missing'} → ${toState}`);
+  }
+  console.log(`📦 Batch ${batchId}: → ${toState}`);
+  await safeAudit(db, {
+    action: AUDIT_ACTIONS.BATCH_STATE_CHANGED,
+    bank: batch.bank,
+    batchId,
+    fileName: batch.fileName,
+    fileHash: batch.fileHash,
+    details: { ...details, from: batch.history.at(-2)?.state ?? null, to: toState },
+  });
+  return batch;
+}
+
+/**
+ * Marks a batch rejected. Without `retry` its payouts go straight back to
+ * `processing` for the next run. With `retry` the batch keeps them and is
+ * scheduled for another upload after a backoff, until `BATCH_MAX_ATTEMPTS`
+ * is reached; then it is closed and its payouts are marked `upload_failed`.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {import('mongodb').ObjectId} batchId - Rejected batch.
+ * @param {string} remark - Why the batch was rejected.
+ * @param {Object} [options]
+ * @param {boolean} [options.retry] - Schedule a retry instead of releasing the payouts.
+ * @returns {Promise<Object>} The updated batch; `nextRetryAt` is set when a retry is scheduled.
+ */
+export async function rejectBatch(db, batchId, remark, { retry = false } = {}) {
+  const batch = await transitionBatch(db, batchId, 'upload_rejected', { remark });
+  if (!retry) {
+    await releaseBatchPayouts(db, batchId);
+    return batch;
+  }
+
+  const attempts = batch.attempts || 1;
+  if (attempts >= MAX_ATTEMPTS || !batch.count) {
+    const ids = await db.collection(PAYOUTS_COLL).distinct('_id', { batchId, status: 'batching' });
+    await db.collection(PAYOUTS_COLL).updateMany(
+      { _id: { $in: ids }, batchId, status: 'batching' },
+      {
+        $set: { status: 'upload_failed', uploadFailedAt: new Date(), uploadRemark: remark },
+        $unset: { batchId: '', leaseExpiresAt: '' },
+      }
+    );
+    console.warn(`⚠️ Batch ${batchId} gave up after ${attempts} attempt(s)`);
+    await auditStatusChange(db, ids, 'batching', 'upload_failed', {
+      bank: batch.bank,
+      batchId,
+      fileName: batch.fileName,
+      details: { remark, attempts },
+    });
+    return transitionBatch(db, batchId, 'closed', { closeReason: `gave up after ${attempts} attempt(s)` });
+  }
+
+  const nextRetryAt = new Date(Date.now() + RETRY_BACKOFF_MS * 2 ** (attempts - 1));
+  await db.collection(BATCHES_COLL).updateOne({ _id: batchId }, { $set: { nextRetryAt } });
+  console.log(`🔁 Batch ${batchId} will be retried after ${nextRetryAt.toISOString()} (attempt ${attempts + 1}/${MAX_ATTEMPTS})`);
+  return { ...batch, nextRetryAt };
+}
+
+/**
+ * Lists rejected batches of a bank whose retry is due. Batches that were ever
+ * approved at the bank are never returned.
+ * @param {import('mongodb').Db} db - Database holding batches.
+ * @param {'kotak'|'axis'} bank - Bank of the batches.
+ * @param {Date} [now] - Time to compare `nextRetryAt` against.
+ * @returns {Promise<Array<Object>>} Batches, oldest first.
+ */
+export async function findDueRetries(db, bank, now = new Date()) {
+  return db.collection(BATCHES_COLL).find({
+    bank,
+    state: 'upload_rejected',
+    nextRetryAt: { $lte: now },
+    attempts: { $lt: MAX_ATTEMPTS },
+    'stateTimestamps.approved': { $exists: false },
+  }).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Makes a rejected batch's retry due now, so the next upload run rebuilds its
+ * file instead of waiting out the backoff.
+ * @param {import('mongodb').Db} db - Database holding batches.
+ * @param {import('mongodb').ObjectId} batchId - Batch to retry.
+ * @returns {Promise<Object>} The updated batch.
+ * @throws {Error} When there is no such batch or it is not waiting for a retry.
+ */
+export async function expediteRetry(db, batchId) {
+  const batch = await db.collection(BATCHES_COLL).findOneAndUpdate(
+    { _id: batchId, state: 'upload_rejected', nextRetryAt: { $exists: true } },
+    { $set: { nextRetryAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!batch) {
+    const existing = await db.collection(BATCHES_COLL).findOne({ _id: batchId }, { projection: { state: 1 } });
+    throw new Error(existing
+      ? `❌ Batch ${batchId} is ${existing.state} and not waiting for a retry`
+      : `❌ No batch ${batchId}`);
+  }
+  console.log(`🔁 Batch ${batchId} will be retried on the next run`);
+  return batch;
+}
+
+/**
+ * Loads the payouts a batch still holds, e.g. to rebuild its file for a retry.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {Object} batch - Batch document.
+ * @returns {Promise<Array<Object>>} Payouts in `payoutIds` order.
+ */
+export async function loadBatchPayouts(db, batch) {
+  const payouts = await db.collection(PAYOUTS_COLL)
+    .find({ _id: { $in: batch.payoutIds }, batchId: batch._id, status: 'batching' })
+    .toArray();
+  const byId = new Map(payouts.map(p => [String(p._id), p]));
+  return batch.payoutIds.map(id => byId.get(String(id))).filter(Boolean);
+}
+
+/**
+ * Moves a rejected batch back to `generated` with its rebuilt file and counts the
+ * attempt. The move is atomic, so two runs cannot retry the same batch.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {Object} batch - Batch document as returned by `findDueRetries`.
+ * @param {Object} file
+ * @param {string} file.fileName - Name of the rebuilt file.
+ * @param {string} file.filePath - Path of the rebuilt file, which is archived.
+ * @returns {Promise<Object>} The updated batch.
+ * @throws {Error} When the batch is no longer waiting for a retry.
+ */
+export async function retryBatch(db, batch, { fileName, filePath }) {
+  const attempts = (batch.attempts || 1) + 1;
+  if (attempts > MAX_ATTEMPTS) throw new Error(`❌ Batch ${batch._id} has used all ${MAX_ATTEMPTS} attempts`);
+
+  const archived = await archiveFile(db, filePath, {
+    bank: batch.bank,
+    kind: 'upload',
+    account: batch.account,
+    batchId: batch._id,
+    attempt: attempts,
+    payoutIds: batch.payoutIds,
+  });
+  const updated = await transitionBatch(db, batch._id, 'generated', {
+    fileName,
+    fileHash: archived.sha256,
+    fileArchiveId: archived._id,
+    attempts,
+    previousFileName: batch.fileName,
+  });
+  await db.collection(BATCHES_COLL).updateOne({ _id: batch._id }, { $unset: { nextRetryAt: '' } });
+  await renewLease(db, batch._id, updated.count);
+  console.log(`🔁 Batch ${batch._id}: attempt ${attempts}/${MAX_ATTEMPTS} with ${fileName}`);
+  await safeAudit(db, {
+    action: AUDIT_ACTIONS.FILE_GENERATED,
+    bank: batch.bank,
+    batchId: batch._id,
+    fileName,
+    fileHash: archived.sha256,
+    payoutIds: batch.payoutIds,
+    details: { account: batch.account, count: updated.count, attempt: attempts, previousFileName: batch.fileName },
+  });
+  return updated;
+}
+
+/**
+ * Takes payouts the bank rejected from an uploaded file out of their batch and
+ * marks them `bank_rejected` with the bank's reason. The rest of the batch stays
+ * uploaded so it can still be approved.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {import('mongodb').ObjectId} batchId - Batch the file belongs to.
+ * @param {Array<{ref: string, reason: string}>} rejections - Rejected records, `ref` being the payout id in the file.
+ * @returns {Promise<{rejected: Array<Object>, unknown: Array<Object>, remaining: number}>} Payouts marked rejected,
+ *   records that matched no payout of the batch, and how many payouts the batch still holds.
+ */
+export async function markBankRejected(db, batchId, rejections) {
+  const batch = await db.collection(BATCHES_COLL).findOne({ _id: batchId });
+  if (!batch) throw new Error(`❌ Batch ${batchId} not found`);
+
+  const payouts = await db.collection(PAYOUTS_COLL).find({ _id: { $in: batch.payoutIds }, batchId }).toArray();
+  const byRef = new Map(payouts.map(p => [String(p.payoutId), p]));
+  const now = new Date();
+  const rejected = [];
+  const unknown = [];
+
+  for (const record of rejections) {
+    const payout = byRef.get(String(record.ref).trim());
+    if (!payout) {
+      unknown.push(record);
+      continue;
+    }
+    await db.collection(PAYOUTS_COLL).updateOne(
+      { _id: payout._id, batchId },
+      {
+        $set: { status: 'bank_rejected', bankRejectReason: record.reason, bankRejectedAt: now, bankFileName: batch.fileName },
+        $unset: { batchId: '', leaseExpiresAt: '' },
+      }
+    );
+    byRef.delete(String(payout.payoutId));
+    rejected.push({ _id: payout._id, payoutId: payout.payoutId, amount: Number(payout.amount || 0), reason: record.reason });
+  }
+
+  if (rejected.length) {
+    await db.collection(BATCHES_COLL).updateOne(
+      { _id: batchId },
+      {
+        $pull: { payoutIds: { $in: rejected.map(r => r._id) } },
+        $inc: { count: -rejected.length, totalAmount: -rejected.reduce((sum, r) => sum + r.amount, 0) },
+        $push: { rejectedRecords: { $each: rejected.map(({ payoutId, amount, reason }) => ({ payoutId, amount, reason, at: now })) } },
+      }
+    );
+    console.log(`🚫 ${rejected.length} payouts of batch ${batchId} rejected by the bank`);
+    await auditStatusChange(db, rejected.map(r => r._id), 'batching', 'bank_rejected', {
+      bank: batch.bank,
+      batchId,
+      fileName: batch.fileName,
+      fileHash: batch.fileHash,
+      details: { reasons: rejected.map(({ payoutId, reason }) => ({ payoutId, reason })) },
+    });
+  }
+  return { rejected, unknown, remaining: byRef.size };
+}
+
+// Hands a batch's payouts to reconciliation as `queued`; `fields` are stored on each payout.
+async function queueBatchPayouts(db, batch, fields = {}) {
+  const now = new Date();
+  const result = await db.collection(PAYOUTS_COLL).updateMany(
+    { _id: { $in: batch.payoutIds }, batchId: batch._id },
+    [{
+      $set: {
+        status: 'queued',
+        queuedAt: now,
+        bank: batch.bank,
+        bankFileName: batch.fileName,
+        bankRef: { $toString: '$payoutId' },
+        ...fields,
+      },
+    }, { $unset: 'leaseExpiresAt' }]
+  );
+  await auditStatusChange(db, batch.payoutIds, 'batching', 'queued', {
+    bank: batch.bank,
+    batchId: batch._id,
+    fileName: batch.fileName,
+    fileHash: batch.fileHash,
+    details: { modified: result.modifiedCount, ...fields },
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Marks a batch approved at the bank and moves its payouts to `queued`.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {import('mongodb').ObjectId} batchId - Approved batch.
+ * @returns {Promise<number>} Number of payouts queued.
+ */
+export async function markBatchApproved(db, batchId) {
+  const batch = await transitionBatch(db, batchId, 'approved');
+  return queueBatchPayouts(db, batch);
+}
+
+/**
+ * Parks a batch whose payment was submitted at the bank but not confirmed, e.g.
+ * the success banner never showed, the portal failed after the OTP or the run died
+ * mid-upload. The bank
+ * may have paid it, so its payouts are never released for another upload: they
+ * are queued with `needsReview` for reconciliation to settle against the
+ * statement, and the operator checks the portal in the meantime.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {import('mongodb').ObjectId} batchId - Batch whose payment was submitted.
+ * @param {string} remark - What went wrong.
+ * @returns {Promise<number>} Number of payouts queued for review.
+ */
+export async function markBatchNeedsReview(db, batchId, remark) {
+  const batch = await transitionBatch(db, batchId, 'needs_review', { remark });
+  const queued = await queueBatchPayouts(db, batch, { needsReview: true });
+  console.warn(`⚠️ Batch ${batchId} needs review: ${remark}`);
+  return queued;
+}
+
+/**
+ * Moves approved batches, and batches parked for review, whose payouts have all
+ * been settled by reconciliation to `reconciled`, and closes every reconciled
+ * batch, including ones left `reconciled` by an earlier run.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {'kotak'|'axis'} bank - Only batches of this bank are checked.
+ * @returns {Promise<number>} Number of batches reconciled and closed.
+ */
+export async function reconcileSettledBatches(db, bank) {
+  const open = await db.collection(BATCHES_COLL)
+    .find({ bank, state: { $in: ['approved', 'needs_review', 'reconciled'] } })
+    .toArray();
+  let closed = 0;
+  for (const batch of open) {
+    if (batch.state !== 'reconciled') {
+      const unsettled = await db.collection(PAYOUTS_COLL).countDocuments({
+        _id: { $in: batch.payoutIds },
+        status: { $nin: ['success', 'failed'] },
+      });
+      if (unsettled) continue;
+      await transitionBatch(db, batch._id, 'reconciled');
+    }
+    await transitionBatch(db, batch._id, 'closed', { closeReason: 'all payouts settled' });
+    closed++;
+  }
+  return closed;
+}
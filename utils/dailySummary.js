@@ -0,0 +1,264 @@
+import path from 'path';
+import xlsx from 'xlsx';
+import dotenv from 'dotenv';
+import { startOfDay, dayAfter, toIsoDate } from './dateRange.js';
+import { BANK_TXN_COLL, TXN_STATUS } from './bankTransactions.js';
+import { ensureDirectoryExists } from './files.js';
+dotenv.config();
+
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+const BATCHES_COLL = 'batches';
+const REPORT_DIR = path.resolve(process.env.DAILY_REPORT_DIR || './reports');
+
+// How many of the day's largest payouts the summary lists.
+const LARGEST_COUNT = Number(process.env.DAILY_SUMMARY_TOP) || 10;
+
+// Outcomes of a sent payout, with their column label in the report.
+const OUTCOMES = { paid: 'Paid', failed: 'Failed', pending: 'Pending', returned: 'Returned' };
+const FINAL_STATUSES = ['success', 'failed'];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Where a payout sent to the bank ended up. A statement row marked returned wins
+ * over the payout status: the money went out and came back, even if the payout
+ * was reconciled as a success before that.
+ * @param {Object} payout - Payout document.
+ * @param {Object} [txn] - Latest bank transaction for the payout.
+ * @returns {'paid'|'failed'|'pending'|'returned'}
+ */
+export function payoutOutcome(payout, txn) {
+  if (txn?.status === TXN_STATUS.RETURNED) return 'returned';
+  if (payout.status === 'success') return 'paid';
+  if (payout.status === 'failed') return 'failed';
+  return 'pending';
+}
+
+function emptyTally() {
+  return { payouts: 0, amount: 0, ...Object.fromEntries(Object.keys(OUTCOMES).map(o => [o, { count: 0, amount: 0 }])) };
+}
+
+function addToTally(tally, outcome, amount) {
+  tally.payouts += 1;
+  tally.amount = round(tally.amount + amount);
+  tally[outcome].count += 1;
+  tally[outcome].amount = round(tally[outcome].amount + amount);
+}
+
+/**
+ * Latest bank transaction per payout reference; a payout paid again after a
+ * failure has more than one.
+ */
+async function latestTxnsByRef(db, refs) {
+  const txns = await db.collection(BANK_TXN_COLL)
+    .find({ payoutRef: { $in: refs } })
+    .sort({ lastSeenAt: 1 })
+    .toArray();
+  return new Map(txns.map(t => [`${t.bank}:${t.payoutRef}`, t]));
+}
+
+/**
+ * Approved batches, and batches held for review, with payouts the statements
+ * have not settled yet, oldest first.
+ */
+async function findUnreconciledBatches(db) {
+  const batches = await db.collection(BATCHES_COLL)
+    .find({ state: { $in: ['approved', 'needs_review'] } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  if (!batches.length) return [];
+
+  const open = await db.collection(PAYOUTS_COLL).aggregate([
+    { $match: { batchId: { $in: batches.map(b => b._id) }, status: { $nin: FINAL_STATUSES } } },
+    { $group: { _id: '$batchId', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+  ]).toArray();
+  const openById = new Map(open.map(o => [String(o._id), o]));
+
+  return batches.map(b => ({
+    batchId: String(b._id),
+    bank: b.bank,
+    account: b.account || null,
+    fileName: b.fileName,
+    state: b.state,
+    submittedAt: b.stateTimestamps?.approved || b.stateTimestamps?.needs_review || null,
+    payouts: b.count,
+    amount: b.totalAmount,
+    openPayouts: openById.get(String(b._id))?.count || 0,
+    openAmount: round(openById.get(String(b._id))?.amount || 0),
+  }));
+}
+
+/**
+ * Summarises the payouts sent to the banks on one day (by `queuedAt`) per bank
+ * and debit account, using the downloaded statements (`bank_transactions`) to
+ * spot returns. Also lists the day's largest payouts, approved batches that are
+ * still not reconciled, and statement rows of the day that match no payout.
+ * `stuck` counts payouts sent on earlier days that the bank has still not settled.
+ * @param {import('mongodb').Db} db - Database holding payouts, batches and bank transactions.
+ * @param {Date} [day] - Any time on the day; defaults to today.
+ * @param {Object} [options]
+ * @param {number} [options.largest] - How many of the largest payouts to list.
+ * @returns {Promise<Object>} `{date, from, to, totals, byAccount, largest, unreconciledBatches, statementOnly, payouts}`,
+ *   shaped for the `daily_summary` notification template and `writeDailyReport`.
+ */
+export async function summarizeDay(db, day = new Date(), { largest = LARGEST_COUNT } = {}) {
+  const from = startOfDay(day);
+  const to = dayAfter(from);
+
+  const sent = await db.collection(PAYOUTS_COLL)
+    .find({ queuedAt: { $gte: from, $lt: to } })
+    .sort({ queuedAt: 1 })
+    .toArray();
+
+  // The batch knows the debit account a payout left from; Kotak statements print it too
+  const batchIds = [...new Map(sent.filter(p => p.batchId).map(p => [String(p.batchId), p.batchId])).values()];
+  const batches = await db.collection(BATCHES_COLL)
+    .find({ _id: { $in: batchIds } }, { projection: { account: 1, fileName: 1 } })
+    .toArray();
+  const batchById = new Map(batches.map(b => [String(b._id), b]));
+  const txnByRef = await latestTxnsByRef(db, sent.map(p => String(p.payoutId)));
+
+  const totals = emptyTally();
+  const accounts = new Map();
+  const payouts = sent.map(p => {
+    const batch = p.batchId ? batchById.get(String(p.batchId)) : null;
+    const txn = txnByRef.get(`${p.bank}:${p.payoutId}`);
+    const amount = Number(p.amount || 0);
+    const row = {
+      payoutId: p.payoutId,
+      bank: p.bank || null,
+      account: batch?.account || txn?.debitAccount || null,
+      batchId: p.batchId ? String(p.batchId) : null,
+      fileName: p.bankFileName || batch?.fileName || null,
+      queuedAt: p.queuedAt,
+      amount,
+      status: p.status,
+      outcome: payoutOutcome(p, txn),
+      paymentMode: p.paymentMode || txn?.paymentMode || null,
+      utr: p.utr || txn?.utr || null,
+      bankStatus: txn?.bankStatus || p.bankStatus || null,
+      reason: txn?.rejectReason || p.bankRemarks || null,
+      beneficiary: p.beneficiary?.name || null,
+      beneficiaryAccount: p.beneficiary?.account || null,
+      ifsc: p.beneficiary?.ifsc || null,
+    };
+
+    const key = `${row.bank}:${row.account}`;
+    if (!accounts.has(key)) accounts.set(key, { bank: row.bank, account: row.account, ...emptyTally() });
+    addToTally(accounts.get(key), row.outcome, amount);
+    addToTally(totals, row.outcome, amount);
+    return row;
+  });
+
+  totals.stuck = await db.collection(PAYOUTS_COLL).countDocuments({ status: 'queued', queuedAt: { $lt: from } });
+
+  // Debits on the day's statements that no payout accounts for, e.g. payments made by hand in the portal
+  const dayTxns = await db.collection(BANK_TXN_COLL).find({ valueDate: { $gte: from, $lt: to } }).toArray();
+  const known = new Set((await db.collection(PAYOUTS_COLL)
+    .find({ payoutId: { $in: dayTxns.map(t => t.payoutRef).filter(Boolean) } }, { projection: { payoutId: 1 } })
+    .toArray()).map(p => String(p.payoutId)));
+  const statementOnly = dayTxns
+    .filter(t => !t.payoutRef || !known.has(t.payoutRef))
+    .map(t => ({
+      bank: t.bank,
+      account: t.debitAccount || null,
+      payoutRef: t.payoutRef,
+      utr: t.utr,
+      amount: t.amountPaise == null ? null : t.amountPaise / 100,
+      status: t.status,
+      bankStatus: t.bankStatus,
+      beneficiary: t.beneficiary?.name || null,
+      valueDate: t.valueDate,
+    }));
+
+  return {
+    date: toIsoDate(from),
+    from,
+    to,
+    totals,
+    byAccount: [...accounts.values()].sort((a, b) => `${a.bank}:${a.account}`.localeCompare(`${b.bank}:${b.account}`)),
+    largest: [...payouts].sort((a, b) => b.amount - a.amount).slice(0, largest),
+    unreconciledBatches: await findUnreconciledBatches(db),
+    statementOnly,
+    payouts,
+  };
+}
+
+const sheetRows = {
+  accounts: summary => summary.byAccount.map(a => ({
+    Bank: a.bank,
+    'Debit Account': a.account,
+    Payouts: a.payouts,
+    Amount: a.amount,
+    ...Object.fromEntries(Object.entries(OUTCOMES).flatMap(([o, label]) => [[label, a[o].count], [`${label} Amount`, a[o].amount]])),
+  })),
+  payouts: list => list.map(p => ({
+    'Payout ID': p.payoutId,
+    Bank: p.bank,
+    'Debit Account': p.account,
+    'Queued At': p.queuedAt,
+    Amount: p.amount,
+    Outcome: p.outcome,
+    Status: p.status,
+    'Payment Mode': p.paymentMode,
+    UTR: p.utr,
+    'Bank Status': p.bankStatus,
+    Reason: p.reason,
+    Beneficiary: p.beneficiary,
+    'Beneficiary Account': p.beneficiaryAccount,
+    IFSC: p.ifsc,
+    Batch: p.batchId,
+    File: p.fileName,
+  })),
+  batches: list => list.map(b => ({
+    Batch: b.batchId,
+    Bank: b.bank,
+    'Debit Account': b.account,
+    File: b.fileName,
+    State: b.state,
+    'Submitted At': b.submittedAt,
+    Payouts: b.payouts,
+    Amount: b.amount,
+    'Open Payouts': b.openPayouts,
+    'Open Amount': b.openAmount,
+  })),
+  statementOnly: list => list.map(t => ({
+    Bank: t.bank,
+    'Debit Account': t.account,
+    'Value Date': t.valueDate,
+    Reference: t.payoutRef,
+    UTR: t.utr,
+    Amount: t.amount,
+    Status: t.status,
+    'Bank Status': t.bankStatus,
+    Beneficiary: t.beneficiary,
+  })),
+};
+
+/**
+ * Saves the detailed summary for the finance team as
+ * `<DAILY_REPORT_DIR>/payout-summary_<date>.xlsx`, one sheet per section.
+ * @param {Object} summary - Result of `summarizeDay`.
+ * @param {string} [directory] - Where to write; defaults to `DAILY_REPORT_DIR` (./reports).
+ * @returns {string} Path of the written workbook.
+ */
+export function writeDailyReport(summary, directory = REPORT_DIR) {
+  ensureDirectoryExists(directory);
+  const filePath = path.join(directory, `payout-summary_${summary.date}.xlsx`);
+
+  const workbook = xlsx.utils.book_new();
+  const sheets = [
+    ['Accounts', sheetRows.accounts(summary)],
+    ['Payouts', sheetRows.payouts(summary.payouts)],
+    ['Largest', sheetRows.payouts(summary.largest)],
+    ['Unreconciled Batches', sheetRows.batches(summary.unreconciledBatches)],
+    ['Statement Only', sheetRows.statementOnly(summary.statementOnly)],
+  ];
+  for (const [name, rows] of sheets) {
+    // An empty section still gets a sheet, so finance always finds the same tabs
+    xlsx.utils.book_append_sheet(workbook, rows.length ? xlsx.utils.json_to_sheet(rows, { cellDates: true }) : xlsx.utils.aoa_to_sheet([['No rows']]), name);
+  }
+  xlsx.writeFile(workbook, filePath);
+  console.log(`📊 Daily payout report saved: ${filePath}`);
+  return filePath;
+}
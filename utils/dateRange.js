@@ -0,0 +1,77 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Longest range a single run will walk through, to catch typos like a wrong year.
+const MAX_RANGE_DAYS = Number(process.env.MAX_BACKFILL_DAYS) || 62;
+
+/**
+ * Parses a calendar date given as `YYYY-MM-DD` or `DD/MM/YYYY` into local midnight.
+ * @param {string} value - Date text.
+ * @returns {Date} Start of that day.
+ * @throws {Error} When the text is not a valid date in either format.
+ */
+export function parseDateInput(value) {
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year, month, day;
+  if (match) [, year, month, day] = match.map(Number);
+  else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, day, month, year] = match.map(Number);
+  else throw new Error(`❌ Unrecognised date '${value}' (use YYYY-MM-DD or DD/MM/YYYY)`);
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new Error(`❌ Invalid date '${value}'`);
+  }
+  return date;
+}
+
+/**
+ * Formats a date as local `YYYY-MM-DD`, e.g. for file names.
+ * @param {Date} date - Any time.
+ * @returns {string} Local calendar date.
+ */
+export function toIsoDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Start of the local day a time falls on.
+ * @param {Date} date - Any time.
+ * @returns {Date} Local midnight of that day.
+ */
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Works out the days to process from a from/to pair. A missing `from` means
+ * today; a missing `to` means the same day as `from`.
+ * @param {Object} [range]
+ * @param {string} [range.from] - First day, inclusive.
+ * @param {string} [range.to] - Last day, inclusive.
+ * @param {Date} [range.today] - What counts as today.
+ * @returns {{from: Date, to: Date, days: Date[]}} Range and every day in it, oldest first.
+ * @throws {Error} When the range is reversed, in the future or longer than `MAX_BACKFILL_DAYS`.
+ */
+export function resolveDateRange({ from, to, today = new Date() } = {}) {
+  const start = from ? parseDateInput(from) : startOfDay(today);
+  const end = to ? parseDateInput(to) : start;
+  if (end < start) throw new Error(`❌ Date range ends before it starts (${from} → ${to})`);
+  if (end > startOfDay(today)) throw new Error(`❌ Date range ends in the future (${to})`);
+
+  const days = [];
+  for (let d = start; d <= end; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) days.push(d);
+  if (days.length > MAX_RANGE_DAYS) {
+    throw new Error(`❌ Date range covers ${days.length} days; the limit is ${MAX_RANGE_DAYS} (MAX_BACKFILL_DAYS)`);
+  }
+  return { from: start, to: end, days };
+}
+
+/**
+ * End of a day range as an exclusive bound, i.e. midnight after `to`.
+ * @param {Date} to - Last day of the range.
+ * @returns {Date} Midnight after that day.
+ */
+export function dayAfter(to) {
+  return new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+}
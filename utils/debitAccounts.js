@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const DEFAULT_CONFIG_PATH = path.resolve('./config/debitAccounts.json');
+
+/**
+ * Loads the debit accounts we pay from, per bank. `DEBIT_ACCOUNTS_FILE` points
+ * at an alternative JSON file with the same shape as `config/debitAccounts.json`.
+ * @returns {Object<string, Array<Object>>} Accounts keyed by bank.
+ */
+export function loadDebitAccounts() {
+  const file = process.env.DEBIT_ACCOUNTS_FILE || DEFAULT_CONFIG_PATH;
+  const accounts = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // The Axis account number has always come from the environment.
+  for (const account of accounts.axis || []) {
+    if (!account.accountNumber && process.env.AXIS_DEBIT_ACCOUNT) account.accountNumber = process.env.AXIS_DEBIT_ACCOUNT;
+  }
+  return accounts;
+}
+
+/**
+ * Returns one debit account of a bank.
+ * @param {'kotak'|'axis'} bank - Bank key.
+ * @param {string} [id] - Account id; defaults to `<BANK>_DEBIT_ACCOUNT_ID` or the account marked default.
+ * @returns {Object} The account config.
+ */
+export function getDebitAccount(bank, id = process.env[`${bank.toUpperCase()}_DEBIT_ACCOUNT_ID`]) {
+  const accounts = loadDebitAccounts()[bank] || [];
+  const account = id ? accounts.find(a => a.id === id) : accounts.find(a => a.default) || accounts[0];
+  if (!account) throw new Error(`❌ No ${bank} debit account configured${id ? ` with id '${id}'` : ''}`);
+  return account;
+}
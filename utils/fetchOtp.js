@@ -2,26 +2,187 @@ import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
 
 dotenv.config();
-const MONGODB_URI_ALI = process.env.MONGODB_URI_ALI; 
+const MONGODB_URI_ALI = process.env.MONGODB_URI_ALI;
 
-export async function fetchLatestOtp(afterTimestamp = null) {
-  const client = new MongoClient(MONGODB_URI_ALI);
+// When set, OTPs come from this HTTP endpoint instead of the `otps` collection
+// (the mock bank portals serve one at /otp/next).
+const OTP_SOURCE_URL = process.env.OTP_SOURCE_URL;
+
+// Lets any run take an SMS OTP that carries no bank and no phone. Only safe when
+// a single account ever waits for OTPs at a time.
+const OTP_ACCEPT_UNTAGGED = process.env.OTP_ACCEPT_UNTAGGED === 'true';
+
+// How long an SMS OTP stays usable after the bank sends it.
+const OTP_VALIDITY_MS = Number(process.env.OTP_VALIDITY_MS) || 3 * 60 * 1000;
+
+/*
+ * Documents of the `otps` collection (database of MONGODB_URI_ALI). The SMS feed
+ * must write at least `{ otp, createdAt }`. So that parallel runs never take each
+ * other's OTP it should also write, when it can tell from the sender or text:
+ *   bank     - 'kotak' or 'axis'
+ *   purpose  - 'login' or 'transaction'
+ *   account  - login id the OTP is for, or `phone` - number the SMS reached
+ *   expiresAt - when the bank says the OTP stops working
+ * and leave `consumedAt` unset; `waitForOtp` sets it (with `consumedBy`) when it
+ * uses the OTP. Operator OTPs from the bot's /otp carry `manual: true` instead.
+ * An OTP without `bank` is only used by a run waiting on its `phone`, or by any
+ * run when OTP_ACCEPT_UNTAGGED=true.
+ */
+
+/**
+ * Builds the `otps` filters for a bank / account / purpose request, most specific
+ * first: OTPs tagged for this request, or typed in by an operator (`manual: true`)
+ * leaving bank, account or purpose open; then OTPs that carry no bank but reached
+ * the account's phone (any untagged OTP with OTP_ACCEPT_UNTAGGED=true).
+ * @param {Object} request
+ * @param {string} [request.bank] - 'kotak' or 'axis'.
+ * @param {string} [request.account] - Account id or phone number the OTP was sent to.
+ * @param {'login'|'transaction'} [request.purpose] - What the OTP authorises.
+ * @param {Object} [options]
+ * @param {boolean} [options.acceptUntagged] - Also take untagged OTPs that name no phone.
+ * @returns {Array<Object>} Mongo filters on unconsumed OTPs, to be tried in order.
+ */
+export function buildOtpQueries({ bank, account, purpose } = {}, { acceptUntagged = OTP_ACCEPT_UNTAGGED } = {}) {
+  const received = {};
+  if (bank) received.bank = bank;
+  if (purpose) received.purpose = purpose;
+  if (account) received.$or = [{ account }, { phone: account }];
+
+  const manual = { manual: true };
+  if (bank) manual.bank = { $in: [bank, null] };
+  if (purpose) manual.purpose = { $in: [purpose, null] };
+  if (account) manual.account = { $in: [account, null] };
+
+  const queries = [{ consumedAt: null, $or: [received, manual] }];
+  // An untagged OTP could be any bank's or account's; without its phone it is only taken on opt-in
+  if (acceptUntagged) queries.push({ consumedAt: null, bank: null, manual: { $ne: true } });
+  else if (account) queries.push({ consumedAt: null, bank: null, manual: { $ne: true }, phone: account });
+  return queries;
+}
+
+/**
+ * Stores an OTP an operator typed in (e.g. via the Telegram bot) so the waiting
+ * run picks it up like one read from SMS.
+ * @param {Object} otp
+ * @param {string} otp.otp - The code.
+ * @param {string} [otp.bank] - 'kotak' or 'axis'; any bank when omitted.
+ * @param {'login'|'transaction'} [otp.purpose] - Any purpose when omitted.
+ * @param {string} [otp.account] - Any account when omitted.
+ * @param {string} otp.submittedBy - Who typed it in.
+ * @returns {Promise<Object>} The stored OTP document.
+ */
+export async function insertManualOtp({ otp, bank = null, purpose = null, account = null, submittedBy }) {
+  let client;
+  try {
+    client = new MongoClient(MONGODB_URI_ALI);
+    await client.connect();
+    const now = new Date();
+    const doc = {
+      otp,
+      bank,
+      purpose,
+      account,
+      manual: true,
+      submittedBy,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + OTP_VALIDITY_MS),
+      consumedAt: null,
+    };
+    const { insertedId } = await client.db().collection('otps').insertOne(doc);
+    return { ...doc, _id: insertedId };
+  } finally {
+    await client?.close();
+  }
+}
+
+/**
+ * Waits for an OTP matching bank, account and purpose, and marks it consumed
+ * in the same atomic update so it can never be typed in twice.
+ * @param {Object} request
+ * @param {string} [request.bank] - 'kotak' or 'axis'.
+ * @param {string} [request.account] - Account id or phone number the OTP was sent to.
+ * @param {'login'|'transaction'} [request.purpose] - What the OTP authorises.
+ * @param {number} [request.after] - Epoch ms; only OTPs created later are considered.
+ * @param {number} [request.timeoutMs] - How long to wait.
+ * @param {number} [request.pollMs] - Delay between polls.
+ * @param {string} [request.consumer] - Recorded on the OTP as who used it.
+ * @returns {Promise<{status: 'ok', otp: string} | {status: 'timeout'} | {status: 'expired', receivedAt: Date} | {status: 'error', message: string}>}
+ */
+export async function waitForOtp({
+  bank,
+  account,
+  purpose,
+  after = Date.now(),
+  timeoutMs = 60000,
+  pollMs = 3000,
+  consumer = 'automation',
+} = {}) {
+  if (OTP_SOURCE_URL) return waitForOtpOverHttp({ bank, account, purpose, after, timeoutMs, pollMs });
+
+  let client;
+  const startTime = Date.now();
   try {
+    client = new MongoClient(MONGODB_URI_ALI);
     await client.connect();
-    const db = client.db();
-    const query = afterTimestamp
-      ? { createdAt: { $gt: new Date(Number(afterTimestamp)) } }
-      : {};
+    const otps = client.db().collection('otps');
+    const queries = buildOtpQueries({ bank, account, purpose });
 
-    const otp = await db.collection('otps').findOne(query, {
-      sort: { createdAt: -1 },
-    });
+    while (Date.now() - startTime < timeoutMs) {
+      const now = new Date();
+      const freshSince = new Date(Math.max(Number(after), now.getTime() - OTP_VALIDITY_MS));
+      for (const query of queries) {
+        const otp = await otps.findOneAndUpdate(
+          {
+            ...query,
+            createdAt: { $gt: freshSince },
+            $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }],
+          },
+          { $set: { consumedAt: now, consumedBy: consumer } },
+          { sort: { createdAt: -1 }, returnDocument: 'after' }
+        );
+        if (otp) return { status: 'ok', otp: otp.otp };
+      }
+      await new Promise(r => setTimeout(r, pollMs));
+    }
 
-    return otp?.otp || null;
+    // Nothing usable arrived: tell an OTP that came in too late to use apart from no OTP at all.
+    const stale = await otps.findOne(
+      { $or: queries, createdAt: { $gt: new Date(Number(after)) } },
+      { sort: { createdAt: -1 } }
+    );
+    if (stale) return { status: 'expired', receivedAt: stale.createdAt };
+    return { status: 'timeout' };
   } catch (err) {
-    console.error('❌ fetchLatestOtp error:', err.message);
-    return null;
+    console.error('❌ waitForOtp error:', err.message);
+    return { status: 'error', message: err.message };
   } finally {
-    await client.close();
+    await client?.close();
+  }
+}
+
+/**
+ * Polls `OTP_SOURCE_URL` for an OTP. The source consumes what it hands out, so
+ * the result has the same single-use guarantee as the Mongo path.
+ * @param {Object} request - Same fields as `waitForOtp`.
+ * @returns {Promise<{status: 'ok', otp: string} | {status: 'timeout'} | {status: 'error', message: string}>}
+ */
+async function waitForOtpOverHttp({ bank, account, purpose, after, timeoutMs, pollMs }) {
+  const url = new URL(OTP_SOURCE_URL);
+  for (const [key, value] of Object.entries({ bank, account, purpose, after })) {
+    if (value != null) url.searchParams.set(key, String(value));
+  }
+
+  const startTime = Date.now();
+  try {
+    while (Date.now() - startTime < timeoutMs) {
+      const res = await fetch(url);
+      if (res.ok) return { status: 'ok', otp: (await res.json()).otp };
+      if (res.status !== 404) throw new Error(`OTP source answered ${res.status}`);
+      await new Promise(r => setTimeout(r, pollMs));
+    }
+    return { status: 'timeout' };
+  } catch (err) {
+    console.error('❌ waitForOtp error:', err.message);
+    return { status: 'error', message: err.message };
   }
 }
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ensureDirectoryExists, deleteFile } from './files.js';
+import { toIsoDate } from './dateRange.js';
+import { RUN_ID } from './runId.js';
+import { safeAudit, AUDIT_ACTIONS } from './audit.js';
+dotenv.config();
+
+const ARCHIVE_DIR = path.resolve(process.env.FILE_ARCHIVE_DIR || './archive');
+const ARCHIVE_COLL = 'file_archive';
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+
+// How long archived bank files are kept; 8 years covers the books-of-account requirement.
+const RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 8 * 365;
+
+/**
+ * Computes the SHA-256 of a file.
+ * @param {string} filePath - File to hash.
+ * @returns {string} Hex digest.
+ */
+export function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Copies a bank file into the dated archive directory and records it with its
+ * SHA-256 and size. Archiving the same file again only adds the run to its
+ * existing record.
+ * @param {import('mongodb').Db} db - Database holding the archive index.
+ * @param {string} filePath - File to archive.
+ * @param {Object} meta
+ * @param {'kotak'|'axis'} meta.bank - Bank the file was sent to or came from.
+ * @param {'upload'|'statement'} meta.kind - Generated upload file or downloaded report.
+ * @param {string} [meta.account] - Debit account of the file.
+ * @param {import('mongodb').ObjectId} [meta.batchId] - Batch an upload file belongs to.
+ * @param {number} [meta.attempt] - Upload attempt of that batch.
+ * @param {Array<import('mongodb').ObjectId>} [meta.payoutIds] - Payouts in an upload file.
+ * @param {Object} [meta.details] - Anything else worth keeping, e.g. the report range.
+ * @param {boolean} [meta.move] - Remove the original once it is archived.
+ * @returns {Promise<Object>} The archive record.
+ */
+export async function archiveFile(db, filePath, { bank, kind, account, batchId, attempt, payoutIds, details, move = false }) {
+  const content = fs.readFileSync(filePath);
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  const fileName = path.basename(filePath);
+  const now = new Date();
+
+  const archive = db.collection(ARCHIVE_COLL);
+  const key = { sha256, bank, kind, fileName };
+
+  let record = await archive.findOne(key);
+  if (record) {
+    await archive.updateOne({ _id: record._id }, { $addToSet: { runIds: RUN_ID } });
+  } else {
+    const directory = path.join(ARCHIVE_DIR, bank, toIsoDate(now));
+    ensureDirectoryExists(directory);
+    const archivePath = path.join(directory, `${sha256.slice(0, 12)}_${fileName}`);
+    fs.writeFileSync(archivePath, content);
+
+    record = {
+      ...key,
+      path: archivePath,
+      size: content.length,
+      account: account || null,
+      batchId: batchId || null,
+      attempt: attempt || null,
+      payoutIds: payoutIds || [],
+      details: details || null,
+      runIds: [RUN_ID],
+      archivedAt: now,
+      expiresAt: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    };
+    const { insertedId } = await archive.insertOne(record);
+    record._id = insertedId;
+  }
+
+  if (move) fs.unlinkSync(filePath);
+  console.log(`🗄️ Archived ${fileName} → ${record.path} (${content.length} bytes, sha256 ${sha256.slice(0, 12)}…)`);
+  await safeAudit(db, {
+    action: AUDIT_ACTIONS.FILE_ARCHIVED,
+    bank,
+    batchId,
+    fileName,
+    fileHash: sha256,
+    payoutIds,
+    details: { kind, archivePath: record.path, size: content.length, originalPath: filePath, moved: move },
+  });
+  return record;
+}
+
+/**
+ * Lists the upload files a payout went to the bank in, newest first. A payout
+ * appears once per upload attempt of its batch.
+ * @param {import('mongodb').Db} db - Database holding payouts and the archive index.
+ * @param {string} payoutId - Business id of the payout.
+ * @returns {Promise<Array<Object>>} Archive records, each with `intact` telling whether the archived file still matches its hash.
+ */
+export async function findPayoutUploads(db, payoutId) {
+  const payout = await db.collection(PAYOUTS_COLL).findOne({ payoutId });
+  if (!payout) return [];
+  const records = await db.collection(ARCHIVE_COLL)
+    .find({ kind: 'upload', payoutIds: payout._id })
+    .sort({ archivedAt: -1 })
+    .toArray();
+  return records.map(record => ({ ...record, intact: isIntact(record) }));
+}
+
+function isIntact(record) {
+  return fs.existsSync(record.path) && hashFile(record.path) === record.sha256;
+}
+
+/**
+ * Deletes the working copy of a file that is already archived, and records the deletion.
+ * @param {import('mongodb').Db} db - Database holding the audit log.
+ * @param {string} filePath - Working copy to delete.
+ * @param {Object} [context] - `bank`, `batchId` and `details` for the audit entry.
+ */
+export async function discardWorkingCopy(db, filePath, context = {}) {
+  if (!fs.existsSync(filePath)) return;
+  const fileHash = hashFile(filePath);
+  deleteFile(filePath);
+  await safeAudit(db, {
+    action: AUDIT_ACTIONS.FILE_DELETED,
+    ...context,
+    fileName: path.basename(filePath),
+    fileHash,
+    details: { path: filePath, ...context.details },
+  });
+}
+
+/**
+ * Deletes archived files past their retention date. Their records stay, marked `prunedAt`.
+ * @param {import('mongodb').Db} db - Database holding the archive index.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time.
+ * @param {boolean} [options.dryRun] - Only list what would be deleted.
+ * @returns {Promise<Array<Object>>} Records whose files were (or would be) deleted.
+ */
+export async function pruneArchive(db, { now = new Date(), dryRun = false } = {}) {
+  const expired = await db.collection(ARCHIVE_COLL)
+    .find({ expiresAt: { $lte: now }, prunedAt: { $exists: false } })
+    .toArray();
+  if (dryRun) return expired;
+
+  for (const record of expired) {
+    try {
+      if (fs.existsSync(record.path)) fs.unlinkSync(record.path);
+      await db.collection(ARCHIVE_COLL).updateOne({ _id: record._id }, { $set: { prunedAt: now } });
+      await safeAudit(db, {
+        action: AUDIT_ACTIONS.FILE_DELETED,
+        bank: record.bank,
+        batchId: record.batchId,
+        fileName: record.fileName,
+        fileHash: record.sha256,
+        details: { path: record.path, reason: 'retention expired', expiresAt: record.expiresAt },
+      });
+    } catch (error) {
+      console.error(`❌ Could not prune ${record.path}:`, error.message);
+    }
+  }
+  console.log(`🧹 Pruned ${expired.length} archived file(s) older than ${RETENTION_DAYS} days`);
+  return expired;
+}
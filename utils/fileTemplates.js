@@ -0,0 +1,95 @@
+/**
+ * Declarative layouts of the bank upload files.
+ *
+ * Each column takes its value from one of:
+ * - `field`: a (dotted) path on the payout, e.g. `beneficiary.ifsc`
+ * - `account`: a key of the debit account config (`config/debitAccounts.json`)
+ * - `value`: a fixed value; blank padding columns use `''`
+ * - `context`: a key of the render context, e.g. the file date
+ * and may name a `format` from `FORMATTERS`. `default` is used when the source is empty.
+ */
+
+export const FORMATTERS = {
+  amount: value => Number(value).toFixed(2),
+  dateGB: value => new Date(value).toLocaleDateString('en-GB'),
+  dateDashed: value => new Date(value).toLocaleDateString('en-GB').replace(/\//g, '-'),
+  string: value => String(value),
+};
+
+export const KOTAK_PAYMENT_TEMPLATE = {
+  bank: 'kotak',
+  format: 'csv',
+  header: false,
+  columns: [
+    { name: 'Client Code', account: 'clientCode' },
+    { name: 'Product Code', account: 'productCode' },
+    { name: 'Payment Type', field: 'paymentMode', default: 'IMPS' },
+    { name: 'Payment Ref', field: 'payoutId', format: 'string' },
+    { name: 'Payment Date', context: 'date', format: 'dateGB' },
+    { name: 'Instrument Date', value: '' },
+    { name: 'Dr Ac No', account: 'accountNumber' },
+    { name: 'Amount', field: 'amount', format: 'amount' },
+    { name: 'Bank Code Indicator', account: 'bankCodeIndicator' },
+    { name: 'Beneficiary Code', value: '' },
+    { name: 'Beneficiary Name', field: 'beneficiary.name' },
+    { name: 'Beneficiary Bank', value: '' },
+    { name: 'IFSC', field: 'beneficiary.ifsc' },
+    { name: 'Account No.', field: 'beneficiary.account' },
+  ],
+};
+
+export const AXIS_BULK_TEMPLATE = {
+  bank: 'axis',
+  format: 'xlsx',
+  header: true,
+  columns: [
+    { name: 'Payment Method', field: 'paymentMode', default: 'IMPS' },
+    { name: 'Debit Account Number', account: 'accountNumber' },
+    { name: 'Value Date', context: 'date', format: 'dateDashed' },
+    { name: 'Amount', field: 'amount', format: 'amount' },
+    { name: 'Beneficiary Name', field: 'beneficiary.name' },
+    { name: 'Beneficiary Account Number', field: 'beneficiary.account' },
+    { name: 'Beneficiary IFSC', field: 'beneficiary.ifsc' },
+    { name: 'CRN', field: 'payoutId', format: 'string' },
+    { name: 'Beneficiary Email', field: 'beneficiary.email' },
+    { name: 'Beneficiary Mobile', field: 'beneficiary.mobile' },
+  ],
+};
+
+const getPath = (obj, dotted) => dotted.split('.').reduce((v, key) => (v == null ? v : v[key]), obj);
+
+/**
+ * Renders payouts into rows of a template, in column order.
+ * @param {Object} template - One of the templates above.
+ * @param {Array<Object>} payouts - Payout documents.
+ * @param {Object} options
+ * @param {Object} options.account - Debit account config the file pays from.
+ * @param {Object} [options.context] - Extra values for `context` columns; `date` defaults to now.
+ * @returns {Array<Array<string>>} One array of cell values per payout.
+ */
+export function renderTemplateRows(template, payouts, { account, context = {} }) {
+  const ctx = { date: new Date(), ...context };
+  return payouts.map(payout => template.columns.map(column => {
+    let value;
+    if ('value' in column) value = column.value;
+    else if (column.field) value = getPath(payout, column.field);
+    else if (column.account) value = account[column.account];
+    else if (column.context) value = ctx[column.context];
+
+    if (value == null || value === '') value = column.default ?? '';
+    if (value === '' || !column.format) return value;
+
+    const formatter = FORMATTERS[column.format];
+    if (!formatter) throw new Error(`❌ Unknown format '${column.format}' in ${template.bank} template column '${column.name}'`);
+    return formatter(value);
+  }));
+}
+
+/**
+ * Column names of a template, for files that carry a header row.
+ * @param {Object} template - One of the templates above.
+ * @returns {string[]} Column names in order.
+ */
+export function templateHeader(template) {
+  return template.columns.map(c => c.name);
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Ensures a directory exists, creating it (and its parents) if needed.
+ * @param {string} directory - Directory to create.
+ */
+export function ensureDirectoryExists(directory) {
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+    console.log(`📁 Created directory ${directory}`);
+  }
+}
+
+/**
+ * Date and time, to the second, for bank file names, e.g. `05_07_2025_14_03_59`.
+ * Callers add the batch id as well, so two files of the same second still differ.
+ * @param {Date} [now] - Time to stamp.
+ * @returns {string} The stamp.
+ */
+export function fileStamp(now = new Date()) {
+  const pad = n => n.toString().padStart(2, '0');
+  return `${pad(now.getDate())}_${pad(now.getMonth() + 1)}_${now.getFullYear()}_${pad(now.getHours())}_${pad(now.getMinutes())}_${pad(now.getSeconds())}`;
+}
+
+/**
+ * Finds and returns the name of the most recently modified file with a given extension.
+ * @param {string} directory - The directory to search in.
+ * @param {string} extension - The file extension to look for (e.g., '.csv').
+ * @returns {string} The filename of the latest file.
+ */
+export function getLatestFile(directory, extension) {
+  const files = fs.readdirSync(directory);
+  const recentFile = files
+    .filter(file => path.extname(file).toLowerCase() === extension.toLowerCase())
+    .map(file => ({
+      file,
+      time: fs.statSync(path.join(directory, file)).mtime.getTime(),
+    }))
+    .sort((a, b) => b.time - a.time)[0];
+
+  if (!recentFile) {
+    throw new Error(`❌ No files with extension ${extension} found in ${directory}`);
+  }
+
+  console.log(`✅ Automatically selected latest file: ${recentFile.file}`);
+  return recentFile.file;
+}
+
+/**
+ * Deletes the specified file
+ * @param {string} filePath - Full path to the file to delete
+ */
+export function deleteFile(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`🗑️ Successfully deleted file: ${path.basename(filePath)}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to delete file: ${filePath}`, error);
+  }
+}
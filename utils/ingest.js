@@ -0,0 +1,173 @@
+import { ObjectId } from 'mongodb';
+
+// Fields that change on every fetch and must not count as a change in the row itself.
+const VOLATILE_FIELDS = ['_id', 'fetchedAt', 'firstSeenAt', 'lastSeenAt', 'statusChangedAt', 'dateDownloaded', 'page', 'file'];
+
+// Rows re-keyed per write while bringing older rows onto the current key scheme.
+const REKEY_CHUNK = 1000;
+
+// Collections (by namespace) whose rows are keyed and whose unique key index exists.
+const keyedCollections = new Set();
+
+const text = value => (value == null || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * Natural key of a bank row: its stable payment reference, or the UTR when the
+ * bank printed no reference. The UTR alone is not stable: it is often empty on
+ * the first download and filled in later, which must update the row, not add one.
+ * @param {*} reference - Payment reference (Kotak `Instrument_Payment_Ref_No`, Axis `CRN`).
+ * @param {*} utr - UTR of the row.
+ * @returns {string|null} Key, or null when the row has neither.
+ */
+export function referenceKey(reference, utr) {
+  if (text(reference)) return `ref:${text(reference)}`;
+  if (text(utr)) return `utr:${text(utr)}`;
+  return null;
+}
+
+/**
+ * Brings rows written under an older key scheme onto the current one, then backs
+ * the key with a unique index. Runs once per collection and process.
+ */
+async function ensureKeyIndex(collection, { keyField, key, version }) {
+  if (keyedCollections.has(collection.namespace)) return;
+
+  let ops = [];
+  let rekeyed = 0;
+  const flush = async () => {
+    if (ops.length) await collection.bulkWrite(ops, { ordered: false });
+    rekeyed += ops.length;
+    ops = [];
+  };
+  for await (const doc of collection.find({ keyVersion: { $ne: version } })) {
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [keyField]: key(doc), keyVersion: version } } } });
+    if (ops.length >= REKEY_CHUNK) await flush();
+  }
+  await flush();
+  if (rekeyed) console.log(`🔑 Re-keyed ${rekeyed} rows of ${collection.namespace}`);
+
+  try {
+    // Rows without any reference have no key and may repeat
+    await collection.createIndex(
+      { [keyField]: 1 },
+      { unique: true, partialFilterExpression: { [keyField]: { $type: 'string' } } }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    console.warn(`⚠️ ${collection.namespace} already holds rows with the same ${keyField}; ` +
+      'merge them so the unique index can be built. Upserts still match on the key meanwhile.');
+  }
+  keyedCollections.add(collection.namespace);
+}
+
+/**
+ * Upserts statement rows on a natural key instead of blindly inserting them,
+ * so re-fetching the same day or an overlapping range never duplicates rows.
+ * The key is stored on each row in `keyField`, together with the `keyVersion`
+ * of the scheme, and backed by a unique index.
+ * @param {import('mongodb').Collection} collection - Target collection.
+ * @param {Array<Object>} docs - Parsed statement rows.
+ * @param {Object} options
+ * @param {string} options.keyField - Field holding the row's key.
+ * @param {Function} options.key - Computes the key of a row (or stored document); null when it has none.
+ * @param {number} options.version - Version of the key scheme; rows stored under another one are re-keyed.
+ * @param {string[]} options.trackFields - Fields whose change (e.g. bank status) makes the row "updated".
+ * @returns {Promise<{inserted: number, updated: number, unchanged: number, docs: Array<Object>}>}
+ *   Counts plus the stored documents, each carrying its `_id`.
+ */
+export async function upsertStatementRows(collection, docs, { keyField, key, version, trackFields }) {
+  const result = { inserted: 0, updated: 0, unchanged: 0, docs: [] };
+  if (!docs.length) return result;
+  await ensureKeyIndex(collection, { keyField, key, version });
+
+  const withKeys = docs.map(doc => ({ ...doc, [keyField]: key(doc), keyVersion: version }));
+  const keys = [...new Set(withKeys.map(d => d[keyField]).filter(Boolean))];
+  const existing = keys.length ? await collection.find({ [keyField]: { $in: keys } }).toArray() : [];
+  const byKey = new Map(existing.map(d => [d[keyField], d]));
+
+  const now = new Date();
+  const ops = [];
+  const stored = [];
+
+  for (const doc of withKeys) {
+    const rowKey = doc[keyField];
+    const previous = rowKey ? byKey.get(rowKey) : null;
+    const fields = Object.fromEntries(Object.entries(doc).filter(([f]) => f !== '_id'));
+
+    if (!previous) {
+      const fresh = { _id: new ObjectId(), ...fields, firstSeenAt: now, lastSeenAt: now };
+      ops.push({ insertOne: { document: fresh } });
+      stored.push(fresh);
+      result.inserted++;
+      if (rowKey) byKey.set(rowKey, fresh);
+      continue;
+    }
+
+    const changed = trackFields.some(f => String(previous[f] ?? '') !== String(doc[f] ?? ''));
+    const set = changed
+      ? { ...stripVolatile(fields), fetchedAt: doc.fetchedAt || now, lastSeenAt: now, statusChangedAt: now }
+      : { lastSeenAt: now };
+    ops.push({ updateOne: { filter: { _id: previous._id }, update: { $set: set } } });
+    const merged = { ...previous, ...set };
+    stored.push(merged);
+    byKey.set(rowKey, merged);
+    changed ? result.updated++ : result.unchanged++;
+  }
+
+  await collection.bulkWrite(ops, { ordered: true });
+  result.docs = stored;
+  return result;
+}
+
+function stripVolatile(doc) {
+  return Object.fromEntries(Object.entries(doc).filter(([f]) => !VOLATILE_FIELDS.includes(f)));
+}
+
+/**
+ * Natural keys and the fields whose change counts as a bank-side update. The
+ * UTR is tracked, not keyed: it arrives after the row does.
+ */
+export const KOTAK_STATEMENT_KEY = {
+  keyField: 'rowKey',
+  key: row => referenceKey(row.Instrument_Payment_Ref_No, row.UTR_SrNo),
+  version: 2,
+  trackFields: ['Instrument_Status', 'Reject_Remarks', 'Host_Processing_Date_', 'UTR_SrNo'],
+};
+
+export const AXIS_REPORT_KEY = {
+  keyField: 'rowKey',
+  key: row => referenceKey(row.CRN, row.UTR),
+  version: 2,
+  trackFields: ['Status', 'Payment_Mode', 'UTR'],
+};
+
+const FETCHES_COLL = 'statement_fetches';
+
+/**
+ * Records a statement/report download, so the next run knows which range it already has.
+ * @param {import('mongodb').Db} db - Database holding the fetch log.
+ * @param {Object} fetch
+ * @param {'kotak'|'axis'} fetch.bank - Bank the statement came from.
+ * @param {Date} fetch.from - First day covered.
+ * @param {Date} fetch.to - Last day covered.
+ * @param {string} [fetch.fileName] - Downloaded file.
+ * @param {Object} [fetch.counts] - Ingest counts (inserted, updated, unchanged).
+ * @param {'success'|'failed'} fetch.status - Outcome of the run.
+ * @param {string} [fetch.error] - Why it failed.
+ * @returns {Promise<void>}
+ */
+export async function recordStatementFetch(db, { bank, from, to, fileName, counts, status, error }) {
+  await db.collection(FETCHES_COLL).insertOne({
+    bank, from, to, fileName, counts, status, error, fetchedAt: new Date(),
+  });
+}
+
+/**
+ * Returns the most recent successful download of a bank's statement.
+ * @param {import('mongodb').Db} db - Database holding the fetch log.
+ * @param {'kotak'|'axis'} bank - Bank the statement came from.
+ * @returns {Promise<Object|null>} Fetch record, or null when there is none.
+ */
+export async function lastSuccessfulFetch(db, bank) {
+  return db.collection(FETCHES_COLL).findOne({ bank, status: 'success' }, { sort: { to: -1, fetchedAt: -1 } });
+}
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { ObjectId } from 'mongodb';
+import { createBatch, claimPayouts, findDueRetries, loadBatchPayouts, retryBatch } from './batches.js';
+import { validatePayouts, markValidationFailed } from './validatePayout.js';
+import { assignPaymentModes, groupForFiles } from './paymentRouting.js';
+import { getDebitAccount } from './debitAccounts.js';
+import { fileStamp } from './files.js';
+import { KOTAK_PAYMENT_TEMPLATE, renderTemplateRows } from './fileTemplates.js';
+
+/**
+ * Maps payouts to rows of the Kotak "Payments EXCEL/CSV UPLOAD" file.
+ * @param {Array<Object>} payouts - Routed and validated payout documents.
+ * @param {Object} [account] - Kotak debit account config; defaults to the configured default.
+ * @returns {Array<Array<string>>} Rows in upload column order (see `KOTAK_PAYMENT_TEMPLATE`).
+ */
+export function buildKotakCsvRows(payouts, account = getDebitAccount('kotak')) {
+  return renderTemplateRows(KOTAK_PAYMENT_TEMPLATE, payouts, { account });
+}
+
+const totalAmount = payouts => payouts.reduce((sum, p) => sum + Number(p.amount || 0), 0);
+
+/**
+ * Groups payouts by the debit account they pay from (`payout.debitAccountId`,
+ * else the default account), then into the files Kotak expects per account.
+ */
+function groupByDebitAccount(payouts) {
+  const byAccount = new Map();
+  for (const payout of payouts) {
+    const account = getDebitAccount('kotak', payout.debitAccountId || undefined);
+    if (!byAccount.has(account.id)) byAccount.set(account.id, { account, payouts: [] });
+    byAccount.get(account.id).payouts.push(payout);
+  }
+  return [...byAccount.values()].flatMap(({ account, payouts: list }) =>
+    groupForFiles(list, 'kotak').map(group => ({ ...group, account })));
+}
+
+/**
+ * Claims the oldest `processing` payouts, routes and validates them, and writes
+ * one Kotak CSV per file group (one per debit account and payment mode, as Kotak
+ * expects), each recorded as its own batch.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {string} directory - Where to write the files.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum payouts across all files.
+ * @returns {Promise<{files: Array<{fileName: string, filePath: string, batchId: import('mongodb').ObjectId, count: number, amount: number, mode: string|null, accountId: string}>, invalid: Array}>}
+ */
+export async function generateKotakFiles(db, directory, { limit = 100 } = {}) {
+  const claim = await claimPayouts(db, { limit });
+  const routed = await assignPaymentModes(db, claim.payouts, 'kotak');
+
+  // Payouts with bad beneficiary or amount data are set aside so the rest still go out
+  const { valid, invalid } = validatePayouts(routed);
+  if (invalid.length) await markValidationFailed(db, invalid);
+
+  const stamp = fileStamp();
+  const groups = groupByDebitAccount(valid);
+  const multipleAccounts = new Set(groups.map(g => g.account.id)).size > 1;
+  const files = [];
+
+  for (const [index, group] of groups.entries()) {
+    const batchId = index === 0 ? claim.batchId : new ObjectId();
+    const suffix = [multipleAccounts && group.account.accountNumber, groups.length > 1 && group.mode].filter(Boolean).join('_');
+    const fileName = `${stamp}_${String(batchId).slice(-6)}${suffix ? `_${suffix}` : ''}.csv`;
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, Papa.unparse(buildKotakCsvRows(group.payouts, group.account), { header: false }));
+    console.log(`✅ CSV file generated successfully: ${filePath}`);
+
+    // Record the file as a batch so a crash after approval still shows what was paid
+    const batch = await createBatch(db, {
+      batchId,
+      bank: 'kotak',
+      account: group.account.accountNumber,
+      accountId: group.account.id,
+      fileName,
+      filePath,
+      payouts: group.payouts,
+    });
+    files.push({ fileName, filePath, batchId: batch._id, count: group.payouts.length, amount: batch.totalAmount, mode: group.mode, accountId: group.account.id });
+  }
+
+  return { files, invalid };
+}
+
+/**
+ * Rebuilds the files of rejected Kotak batches whose retry is due, from the
+ * payouts each batch still holds, and moves the batches back to `generated`.
+ * @param {import('mongodb').Db} db - Database holding payouts and batches.
+ * @param {string} directory - Where to write the files.
+ * @returns {Promise<Array<{fileName: string, filePath: string, batchId: import('mongodb').ObjectId, count: number, amount: number, mode: string|null, accountId: string, attempt: number}>>}
+ */
+export async function rebuildKotakRetryFiles(db, directory) {
+  const files = [];
+  for (const batch of await findDueRetries(db, 'kotak')) {
+    const payouts = await loadBatchPayouts(db, batch);
+    if (!payouts.length) continue;
+
+    const account = getDebitAccount('kotak', batch.accountId);
+    const attempt = (batch.attempts || 1) + 1;
+    const fileName = `${fileStamp()}_${String(batch._id).slice(-6)}_r${attempt}.csv`;
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, Papa.unparse(buildKotakCsvRows(payouts, account), { header: false }));
+
+    try {
+      await retryBatch(db, batch, { fileName, filePath });
+    } catch (error) {
+      // Another run retried this batch first, or its payouts moved on
+      console.warn(`⚠️ Skipping retry of batch ${batch._id}: ${error.message}`);
+      fs.unlinkSync(filePath);
+      continue;
+    }
+    console.log(`✅ Retry CSV generated: ${filePath}`);
+    files.push({ fileName, filePath, batchId: batch._id, count: payouts.length, amount: totalAmount(payouts), mode: payouts[0].paymentMode || null, accountId: account.id, attempt });
+  }
+  return files;
+}
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+import { sendTelegramMessage } from './sendTelegram.js';
+import { renderEvent } from './notifyTemplates.js';
+dotenv.config();
+
+const DEFAULT_CONFIG_PATH = path.resolve('./config/notify.json');
+
+// Delivery attempts per channel, and the first backoff (doubled after each failure).
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 4;
+const BASE_DELAY_MS = Number(process.env.NOTIFY_RETRY_DELAY_MS) || 2000;
+
+// Longest message Telegram accepts, minus room for the truncation note.
+const TELEGRAM_MAX_LENGTH = 4000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Loads channels and routes. `NOTIFY_CONFIG_FILE` points at an alternative JSON
+ * file with the same shape as `config/notify.json`. `${VAR}` in a channel
+ * setting is replaced by that environment variable; a channel with a setting
+ * left empty is disabled, so unset chats or webhooks are simply skipped.
+ * @returns {{channels: Object<string, Object>, routes: Object<string, string[]>, events: Object<string, string[]>}}
+ */
+export function loadNotifyConfig() {
+  const file = process.env.NOTIFY_CONFIG_FILE || DEFAULT_CONFIG_PATH;
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const channels = {};
+  for (const [name, settings] of Object.entries(config.channels || {})) {
+    const resolved = Object.fromEntries(Object.entries(settings).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? value.replace(/\$\{(\w+)\}/g, (_, variable) => process.env[variable] || '') : value,
+    ]));
+    resolved.enabled = Object.values(resolved).every(value => value !== '') &&
+      (resolved.type !== 'email' || Boolean(process.env.SMTP_HOST));
+    channels[name] = resolved;
+  }
+  return { channels, routes: config.routes || {}, events: config.events || {} };
+}
+
+// --- Escaping and formatting per channel ---
+
+const escapeHtml = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+// Slack mrkdwn only treats &, < and > specially; code fences must not be closed early
+const escapeSlack = value => escapeHtml(value);
+const escapeSlackCode = value => escapeSlack(value).replace(/```/g, "'''");
+
+/** Telegram HTML: only &, < and > need escaping, unlike Markdown where `_` or `*` in a file name breaks the message. */
+export function formatTelegram({ emoji, title, fields = [], text, block }) {
+  const lines = [`${emoji ? `${emoji} ` : ''}<b>${escapeHtml(title)}</b>`];
+  for (const [label, value] of fields) lines.push(`${escapeHtml(label)}: ${escapeHtml(value)}`);
+  if (text) lines.push(escapeHtml(text));
+  let message = lines.join('\n');
+  if (block) {
+    const room = TELEGRAM_MAX_LENGTH - message.length - 20;
+    const shown = block.length > room ? `${block.slice(0, Math.max(room, 0))}\n…` : block;
+    message += `\n<pre>${escapeHtml(shown)}</pre>`;
+  }
+  return message;
+}
+
+/** Plain-text version, used for e-mail and when Telegram still refuses the HTML. */
+export function formatPlain({ emoji, title, fields = [], text, block }) {
+  const lines = [`${emoji ? `${emoji} ` : ''}${title}`];
+  for (const [label, value] of fields) lines.push(`${label}: ${value}`);
+  if (text) lines.push(text);
+  if (block) lines.push('', block);
+  return lines.join('\n');
+}
+
+export function formatSlack({ emoji, title, fields = [], text, block }) {
+  const lines = [`${emoji ? `${emoji} ` : ''}*${escapeSlack(title)}*`];
+  for (const [label, value] of fields) lines.push(`*${escapeSlack(label)}:* ${escapeSlack(value)}`);
+  if (text) lines.push(escapeSlack(text));
+  if (block) lines.push(`\`\`\`${escapeSlackCode(block)}\`\`\``);
+  return lines.join('\n');
+}
+
+export function formatEmailHtml({ emoji, title, fields = [], text, block }) {
+  const rows = fields.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('');
+  return [
+    `<h3>${emoji ? `${emoji} ` : ''}${escapeHtml(title)}</h3>`,
+    rows ? `<table>${rows}</table>` : '',
+    text ? `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>` : '',
+    block ? `<pre>${escapeHtml(block)}</pre>` : '',
+  ].join('');
+}
+
+// --- Channel senders; each throws on failure, with the HTTP `status` and `retryAfterMs` when known ---
+
+async function sendTelegramChannel(channel, message) {
+  try {
+    await sendTelegramMessage(formatTelegram(message), { token: channel.token, chatId: channel.chatId, parseMode: 'HTML' });
+  } catch (error) {
+    // Escaping should make this impossible; if it still happens, plain text beats losing the alert
+    if (!error.isParseError) throw error;
+    console.warn(`⚠️ Telegram could not parse the message (${error.description}); sending it as plain text`);
+    await sendTelegramMessage(formatPlain(message).slice(0, TELEGRAM_MAX_LENGTH), { token: channel.token, chatId: channel.chatId });
+  }
+}
+
+async function sendSlackChannel(channel, message) {
+  const res = await fetch(channel.webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: formatSlack(message), mrkdwn: true }),
+  });
+  if (!res.ok) {
+    const error = new Error(`Slack webhook ${res.status}: ${await res.text().catch(() => res.statusText)}`);
+    error.status = res.status;
+    const retryAfter = Number(res.headers.get('retry-after'));
+    if (retryAfter) error.retryAfterMs = retryAfter * 1000;
+    throw error;
+  }
+}
+
+let mailTransport;
+function getMailTransport() {
+  if (!mailTransport) {
+    if (!process.env.SMTP_HOST) throw new Error('❌ SMTP_HOST is missing in environment variables');
+    const port = Number(process.env.SMTP_PORT) || 587;
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return mailTransport;
+}
+
+async function sendEmailChannel(channel, message, severity) {
+  await getMailTransport().sendMail({
+    from: channel.from || process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: channel.to,
+    subject: `[${severity.toUpperCase()}] ${message.title}`,
+    text: formatPlain(message),
+    html: formatEmailHtml(message),
+  });
+}
+
+const SENDERS = {
+  telegram: sendTelegramChannel,
+  slack: sendSlackChannel,
+  email: sendEmailChannel,
+};
+
+async function deliver(name, channel, message, severity) {
+  const send = SENDERS[channel.type];
+  if (!send) return { channel: name, ok: false, error: `unknown channel type '${channel.type}'` };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await send(channel, message, severity);
+      return { channel: name, ok: true, attempts: attempt };
+    } catch (error) {
+      // A bad token, chat or webhook won't fix itself; rate limits and outages will
+      const permanent = error.status >= 400 && error.status < 500 && error.status !== 429;
+      if (permanent || attempt >= MAX_ATTEMPTS) {
+        console.error(`❌ Could not deliver '${message.title}' to ${name} after ${attempt} attempt(s):`, error.message);
+        return { channel: name, ok: false, attempts: attempt, error: error.message };
+      }
+      const delay = error.retryAfterMs ?? BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`⚠️ Delivery to ${name} failed (${error.message}); retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Sends an event to every channel its severity (or the event itself) is routed
+ * to, retrying each channel with backoff. Never throws: an alert that cannot be
+ * delivered must not fail the run, so undelivered messages are logged in full.
+ * @param {string} event - Template key, e.g. 'upload_issue' (see `TEMPLATES`).
+ * @param {Object} [data] - Fields the template expects.
+ * @param {Object} [options]
+ * @param {'info'|'warning'|'critical'} [options.severity] - Overrides the template's severity.
+ * @returns {Promise<Array<{channel: string, ok: boolean, attempts?: number, error?: string}>>} Outcome per channel.
+ */
+export async function notify(event, data = {}, { severity: severityOverride } = {}) {
+  let rendered;
+  let config;
+  try {
+    rendered = renderEvent(event, data);
+    config = loadNotifyConfig();
+  } catch (error) {
+    console.error(`❌ Could not prepare '${event}' notification:`, error.message);
+    return [];
+  }
+
+  const severity = severityOverride || rendered.severity;
+  const names = [...new Set(config.events[event] || config.routes[severity] || [])];
+  const channels = names.filter(name => config.channels[name]?.enabled);
+  if (!channels.length) {
+    console.warn(`⚠️ No notification channel configured for ${severity} '${event}':\n${formatPlain(rendered.message)}`);
+    return [];
+  }
+
+  const results = await Promise.all(channels.map(name => deliver(name, config.channels[name], rendered.message, severity)));
+  if (results.some(r => r.ok)) {
+    console.log(`📩 ${event} sent to ${results.filter(r => r.ok).map(r => r.channel).join(', ')}`);
+  } else {
+    console.error(`❌ '${event}' reached no channel:\n${formatPlain(rendered.message)}`);
+  }
+  return results;
+}
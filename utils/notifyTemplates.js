@@ -0,0 +1,206 @@
+/**
+ * Message templates of the notifier, one per event. Each renders to a plain
+ * message model that every channel escapes and formats for itself:
+ * `{ emoji, title, fields: [[label, value]], text, block }`, where `block` is
+ * shown preformatted (ids, error output). Templates never add markup.
+ */
+
+// Lines of a list shown in full before the rest is summarised.
+const LIST_LIMIT = 20;
+
+const BANK_NAMES = { kotak: 'Kotak', axis: 'Axis' };
+const bankName = bank => BANK_NAMES[bank] || bank || '';
+
+export const formatRupees = amount => (amount == null ? null : `₹${Number(amount).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`);
+
+function listBlock(items, format) {
+  const lines = items.slice(0, LIST_LIMIT).map(format);
+  if (items.length > LIST_LIMIT) lines.push(`… and ${items.length - LIST_LIMIT} more`);
+  return lines.join('\n');
+}
+
+/** Severity levels, lowest first. */
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+export const TEMPLATES = {
+  // Free text, for one-off messages without a template of their own.
+  message: {
+    severity: 'info',
+    render: ({ title = 'Notice', text, emoji = 'ℹ️' }) => ({ emoji, title, text }),
+  },
+
+  upload_issue: {
+    severity: 'warning',
+    render: ({ bank, fileName, remark, outcome }) => ({
+      emoji: '⚠️',
+      title: `${bankName(bank)} Upload Issue Detected`,
+      fields: [['📂 File', fileName], ['📝 Remark', remark]],
+      text: outcome,
+    }),
+  },
+
+  records_rejected: {
+    severity: 'warning',
+    render: ({ bank, fileName, rejected, remaining }) => ({
+      emoji: '⚠️',
+      title: `${rejected.length} records rejected by ${bankName(bank)}`,
+      fields: [['📂 File', fileName], ['⏭ Left to approve', remaining]],
+      block: listBlock(rejected, r => `${r.payoutId}: ${r.reason}`),
+    }),
+  },
+
+  validation_failed: {
+    severity: 'warning',
+    render: ({ bank, invalid }) => ({
+      emoji: '⚠️',
+      title: `${invalid.length} ${bankName(bank)} payouts failed validation`,
+      block: listBlock(invalid, ({ payout, errors }) => `${payout.payoutId}: ${errors.join('; ')}`),
+    }),
+  },
+
+  approval_done: {
+    severity: 'info',
+    render: ({ bank, fileName, queued, amount }) => ({
+      emoji: '✅',
+      title: `${bankName(bank)} Payment Approved`,
+      fields: [['📄 File', fileName], ['💰 Payouts queued', queued], ['💵 Amount', formatRupees(amount)]],
+    }),
+  },
+
+  batch_needs_review: {
+    severity: 'critical',
+    render: ({ bank, fileName, queued, reason }) => ({
+      emoji: '🔎',
+      title: `${bankName(bank)} payment needs review`,
+      fields: [['📄 File', fileName], ['💰 Payouts held', queued], ['📝 Reason', reason]],
+      text: 'The payment was submitted but not confirmed, so it may have gone through. ' +
+        'Its payouts will not be uploaded again; check the bank portal, reconciliation settles them from the statement.',
+    }),
+  },
+
+  step_failed: {
+    severity: 'critical',
+    render: ({ bank, flow, step, error }) => ({
+      emoji: '❌',
+      title: `${bankName(bank)} ${flow || 'Automation'} Failed`.trim(),
+      fields: [['🔍 Step', step]],
+      block: error?.message ?? error,
+    }),
+  },
+
+  test_failed: {
+    severity: 'critical',
+    render: ({ title, status, error, timeout }) => {
+      let detail = `Unknown failure. Status: ${status}`;
+      if (error) detail = error.message ?? error;
+      else if (status === 'timedOut') detail = `Test timed out after ${timeout}ms.`;
+      else if (status === 'interrupted') detail = 'Test was interrupted';
+      return { emoji: '❗', title, block: detail };
+    },
+  },
+
+  db_update_failed: {
+    severity: 'critical',
+    render: ({ action, fileName, error }) => ({
+      emoji: '❌',
+      title: 'DB Update Failed',
+      fields: [['⚙️ While', action], ['📄 File', fileName]],
+      block: error?.message ?? error,
+    }),
+  },
+
+  statement_saved: {
+    severity: 'info',
+    render: ({ bank, range, fileName, records, inserted, updated, unchanged }) => ({
+      emoji: bank === 'axis' ? '📊' : '📥',
+      title: `${bankName(bank)} Statement Saved`,
+      fields: [
+        ['📅 Range', range],
+        ['📄 File', fileName],
+        ['🧾 Records', records],
+        ['🆕 Inserted', inserted],
+        ['🔄 Updated', updated],
+        ['⏸ Unchanged', unchanged],
+      ],
+    }),
+  },
+
+  recon_summary: {
+    severity: ({ summary }) => (summary.unmatchedPayouts.length || summary.ambiguousRows?.length ? 'warning' : 'info'),
+    render: ({ label, summary }) => ({
+      emoji: '🔎',
+      title: `${label} Reconciliation`,
+      fields: [
+        ['✅ Success', summary.matched.filter(m => m.status === 'success').length],
+        ['❌ Failed', summary.matched.filter(m => m.status === 'failed').length],
+        ['☑️ Already settled', summary.alreadySettled?.length],
+        ['⏳ Pending', summary.pending.length],
+        ['⚠️ Rows to review', summary.ambiguousRows?.length],
+        ['❓ Unmatched rows', summary.unmatchedRows.length],
+        ['❓ Unmatched payouts', summary.unmatchedPayouts.length],
+      ],
+      block: summary.unmatchedPayouts.length ? listBlock(summary.unmatchedPayouts, p => String(p.payoutId)) : null,
+    }),
+  },
+
+  report_format_changed: {
+    severity: 'critical',
+    render: ({ bank, report, filePath, message, unexpected = [] }) => ({
+      emoji: '❌',
+      title: `${bankName(bank)} report format changed`,
+      fields: [['📄 Report', report], ['📁 File', filePath], ['❔ Unknown columns', unexpected.join(', ') || null]],
+      text: message,
+    }),
+  },
+
+  daily_summary: {
+    severity: ({ totals }) => (totals?.failed?.count || totals?.returned?.count || totals?.stuck ? 'warning' : 'info'),
+    render: ({ date, totals = {}, byAccount = [], largest = [], unreconciledBatches = [], statementOnly = [], reportFile }) => {
+      const tally = t => (t?.count ? `${t.count} (${formatRupees(t.amount)})` : t?.count);
+      const sections = [];
+      if (byAccount.length) {
+        sections.push(listBlock(byAccount, a => `${bankName(a.bank)} ${a.account || '?'}: ${a.paid.count} paid ${formatRupees(a.paid.amount)}, ` +
+          `${a.failed.count} failed, ${a.pending.count} pending, ${a.returned.count} returned`));
+      }
+      if (largest.length) {
+        sections.push(`Largest:\n${listBlock(largest, p => `${p.payoutId} ${formatRupees(p.amount)} ${p.outcome}${p.beneficiary ? ` – ${p.beneficiary}` : ''}`)}`);
+      }
+      if (unreconciledBatches.length) {
+        sections.push(`Not reconciled:\n${listBlock(unreconciledBatches, b => `${bankName(b.bank)} ${b.fileName}: ${b.openPayouts} of ${b.payouts} open${b.state === 'needs_review' ? ' (needs review)' : ''}`)}`);
+      }
+      return {
+        emoji: '📅',
+        title: `Payout Summary ${date}`,
+        fields: [
+          ['🧾 Payouts', totals.payouts ? `${totals.payouts} (${formatRupees(totals.amount)})` : totals.payouts],
+          ['✅ Paid', tally(totals.paid)],
+          ['❌ Failed', tally(totals.failed)],
+          ['⏳ Pending', tally(totals.pending)],
+          ['↩️ Returned', tally(totals.returned)],
+          ['🛑 Stuck from earlier days', totals.stuck],
+          ['📦 Batches not reconciled', unreconciledBatches.length],
+          ['❓ Statement rows without payout', statementOnly.length],
+          ['📎 Detail file', reportFile],
+        ],
+        block: sections.join('\n\n') || null,
+      };
+    },
+  },
+};
+
+/**
+ * Renders an event with its template.
+ * @param {string} event - Key of `TEMPLATES`.
+ * @param {Object} data - Fields the template expects.
+ * @returns {{severity: string, message: Object}} Severity and message model.
+ * @throws {Error} For an unknown event.
+ */
+export function renderEvent(event, data) {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`❌ No notification template for '${event}'`);
+  const severity = typeof template.severity === 'function' ? template.severity(data) : template.severity;
+  const message = template.render(data);
+  // Fields without a value are left out rather than shown empty
+  message.fields = (message.fields || []).filter(([, value]) => value != null && value !== '');
+  return { severity, message };
+}
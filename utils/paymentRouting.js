@@ -0,0 +1,99 @@
+import { MODE_LIMITS } from './validatePayout.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+
+/**
+ * Thresholds and windows used to pick a payment mode.
+ * Hours are IST, `[start, end)`.
+ */
+export const ROUTING_POLICY = {
+  impsMax: MODE_LIMITS.IMPS.max,
+  rtgsMin: MODE_LIMITS.RTGS.min,
+  rtgsHours: { start: 7, end: 18 },
+  // Beneficiary banks (IFSC prefix) that reject or bounce IMPS credits.
+  impsUnsupportedBanks: (process.env.IMPS_UNSUPPORTED_BANKS || '').split(',').map(s => s.trim()).filter(Boolean),
+};
+
+/**
+ * What each bank's upload format supports.
+ * `splitByMode` means the bank wants one file per payment mode.
+ */
+export const BANK_ROUTING = {
+  kotak: { modes: ['IMPS', 'NEFT', 'RTGS'], splitByMode: true },
+  axis: { modes: ['IMPS', 'NEFT', 'RTGS'], splitByMode: false },
+};
+
+function istHour(date) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  return ist.getUTCHours() + ist.getUTCMinutes() / 60;
+}
+
+function modeAllowed(mode, amount, bankPrefix, hour, policy) {
+  const limits = MODE_LIMITS[mode];
+  if (!limits || amount < limits.min || amount > limits.max) return false;
+  if (mode === 'IMPS' && policy.impsUnsupportedBanks.includes(bankPrefix)) return false;
+  if (mode === 'RTGS' && (hour < policy.rtgsHours.start || hour >= policy.rtgsHours.end)) return false;
+  return true;
+}
+
+/**
+ * Picks IMPS, NEFT or RTGS for a payout from its amount, the beneficiary bank,
+ * the payout's own preference and the time of day.
+ * @param {Object} payout - Payout document; `preferredMode` is honoured when it is allowed.
+ * @param {Object} [options]
+ * @param {'kotak'|'axis'} [options.bank] - Paying bank, limits the modes on offer.
+ * @param {Date} [options.now] - Time the file goes out.
+ * @param {Object} [options.policy] - Overrides `ROUTING_POLICY`.
+ * @returns {'IMPS'|'NEFT'|'RTGS'} Chosen mode.
+ */
+export function choosePaymentMode(payout, { bank = 'kotak', now = new Date(), policy = ROUTING_POLICY } = {}) {
+  const amount = Number(payout.amount);
+  const bankPrefix = String(payout.beneficiary?.ifsc || '').trim().toUpperCase().slice(0, 4);
+  const hour = istHour(now);
+  const offered = BANK_ROUTING[bank]?.modes || ['IMPS', 'NEFT', 'RTGS'];
+  const allowed = mode => offered.includes(mode) && modeAllowed(mode, amount, bankPrefix, hour, policy);
+
+  const preferred = String(payout.preferredMode || '').toUpperCase();
+  if (preferred && allowed(preferred)) return preferred;
+
+  if (amount <= policy.impsMax && allowed('IMPS')) return 'IMPS';
+  if (amount >= policy.rtgsMin && allowed('RTGS')) return 'RTGS';
+  return 'NEFT';
+}
+
+/**
+ * Routes payouts and stores the chosen mode on each of them.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {Array<Object>} payouts - Payout documents.
+ * @param {'kotak'|'axis'} bank - Paying bank.
+ * @returns {Promise<Array<Object>>} Copies of the payouts with `paymentMode` set.
+ */
+export async function assignPaymentModes(db, payouts, bank) {
+  const now = new Date();
+  const routed = payouts.map(p => ({ ...p, paymentMode: choosePaymentMode(p, { bank, now }) }));
+  if (routed.length) {
+    await db.collection(PAYOUTS_COLL).bulkWrite(routed.map(p => ({
+      updateOne: { filter: { _id: p._id }, update: { $set: { paymentMode: p.paymentMode } } },
+    })));
+  }
+  return routed;
+}
+
+/**
+ * Groups routed payouts into the files a bank expects: one per mode when the
+ * bank requires it, otherwise a single group.
+ * @param {Array<Object>} payouts - Payouts with `paymentMode` set.
+ * @param {'kotak'|'axis'} bank - Paying bank.
+ * @returns {Array<{mode: string|null, payouts: Array<Object>}>} Non-empty groups.
+ */
+export function groupForFiles(payouts, bank) {
+  if (!BANK_ROUTING[bank]?.splitByMode) return payouts.length ? [{ mode: null, payouts }] : [];
+  const groups = new Map();
+  for (const payout of payouts) {
+    if (!groups.has(payout.paymentMode)) groups.set(payout.paymentMode, []);
+    groups.get(payout.paymentMode).push(payout);
+  }
+  return [...groups].map(([mode, list]) => ({ mode, payouts: list }));
+}
@@ -0,0 +1,259 @@
+import dotenv from 'dotenv';
+import { auditStatusChange } from './audit.js';
+dotenv.config();
+
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+
+// Payouts in these states have been settled by reconciliation and are not touched again.
+const FINAL_STATUSES = ['success', 'failed'];
+
+/**
+ * Maps a Kotak "Instrument Status" to a final payout status.
+ * @param {string} instrumentStatus - Status as shown in the Payment Center grid.
+ * @returns {'success'|'failed'|null} Final status, or null while the bank is still working on it.
+ */
+export function mapKotakStatus(instrumentStatus) {
+  const status = String(instrumentStatus || '').trim().toLowerCase();
+  if (/reject|fail|return|cancel/.test(status)) return 'failed';
+  if (/processed|paid|success|executed/.test(status)) return 'success';
+  return null;
+}
+
+/**
+ * Extracts the payout_id we write into the Kotak CSV from a statement row.
+ * Kotak echoes it back in "Payment Details", older files carry it in the instrument ref.
+ * @param {Object} row - A Kotak statement document.
+ * @returns {string} The payout id, or '' when the row carries none.
+ */
+export function extractKotakPayoutRef(row) {
+  for (const value of [row.Payment_Details, row.Instrument_Payment_Ref_No]) {
+    const ref = value == null ? '' : String(value).trim();
+    if (ref) return ref;
+  }
+  return '';
+}
+
+/**
+ * Matches downloaded Kotak statement rows to payouts and settles each payout
+ * to `success` / `failed` with the UTR, bank status and host processing time.
+ * @param {import('mongodb').Db} db - Database holding the payouts collection.
+ * @param {Array<Object>} rows - Statement documents as stored by the Kotak download spec.
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Only payouts queued at or after this time count as unmatched.
+ * @param {Date} [options.until] - Only payouts queued before this time count as unmatched.
+ * @param {import('mongodb').Collection} [options.statementCollection] - When given, rows are tagged with their match result.
+ * @returns {Promise<Object>} Summary with matched (settled by this call), alreadySettled, pending, unmatchedRows
+ *   and unmatchedPayouts.
+ */
+export async function reconcileKotakRows(db, rows, { since, until, statementCollection } = {}) {
+  const payouts = db.collection(PAYOUTS_COLL);
+  const refs = [...new Set(rows.map(extractKotakPayoutRef).filter(Boolean))];
+  const found = await payouts.find({ payoutId: { $in: refs } }).toArray();
+  const byRef = new Map(found.map(p => [String(p.payoutId), p]));
+
+  const summary = { matched: [], alreadySettled: [], pending: [], unmatchedRows: [], unmatchedPayouts: [] };
+  const settled = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    const ref = extractKotakPayoutRef(row);
+    const payout = ref && byRef.get(ref);
+
+    if (!payout) {
+      summary.unmatchedRows.push(row);
+      await tagStatementRow(statementCollection, row, { reconStatus: 'unmatched' });
+      continue;
+    }
+    seen.add(ref);
+
+    const status = mapKotakStatus(row.Instrument_Status);
+    if (!status) {
+      summary.pending.push({ payoutId: ref, bankStatus: row.Instrument_Status });
+      await tagStatementRow(statementCollection, row, { reconStatus: 'pending', matchedPayoutId: ref });
+      continue;
+    }
+
+    const result = await payouts.updateOne(
+      { _id: payout._id, status: { $nin: FINAL_STATUSES } },
+      {
+        $set: {
+          status,
+          utr: row.UTR_SrNo ? String(row.UTR_SrNo).trim() : null,
+          bankStatus: row.Instrument_Status || null,
+          bankRemarks: row.Reject_Remarks || null,
+          hostProcessingTime: row.Host_Processing_Date_ || null,
+          reconciledAt: new Date(),
+        },
+      }
+    );
+    // A row of an earlier statement, downloaded again, finds its payout already final
+    if (result.modifiedCount) {
+      settled.push({ _id: payout._id, from: payout.status, to: status });
+      summary.matched.push({ payoutId: ref, status });
+    } else {
+      summary.alreadySettled.push({ payoutId: ref, status, bankStatus: row.Instrument_Status });
+    }
+    await tagStatementRow(statementCollection, row, { reconStatus: 'matched', matchedPayoutId: ref });
+  }
+
+  // Payouts we sent to the bank in this window that no statement row accounts for.
+  const queuedAt = {};
+  if (since) queuedAt.$gte = since;
+  if (until) queuedAt.$lt = until;
+  const outstanding = await payouts.find({
+    status: 'queued',
+    bank: { $ne: 'axis' },
+    ...(since || until ? { queuedAt } : {}),
+  }).toArray();
+  summary.unmatchedPayouts = outstanding.filter(p => !seen.has(String(p.payoutId)));
+
+  await auditSettled(db, 'kotak', settled);
+  console.log(`🔎 Kotak reconciliation: ${summary.matched.length} settled, ${summary.alreadySettled.length} already settled, ` +
+    `${summary.pending.length} pending, ${summary.unmatchedRows.length} unmatched rows, ` +
+    `${summary.unmatchedPayouts.length} unmatched payouts`);
+  return summary;
+}
+
+/**
+ * Maps an Axis "Status" column value to a final payout status.
+ * @param {string} axisStatus - Status from the Transaction Analysis Report.
+ * @returns {'success'|'failed'|null} Final status, or null while the bank is still working on it.
+ */
+export function mapAxisStatus(axisStatus) {
+  const status = String(axisStatus || '').trim().toLowerCase();
+  if (/fail|reject|return|cancel/.test(status)) return 'failed';
+  if (/success/.test(status)) return 'success';
+  return null;
+}
+
+// Axis sometimes drops (or adds) leading zeros on account numbers.
+const normalizeAccount = value => String(value || '').trim().replace(/^0+/, '');
+const toPaise = value => Math.round(Number(value) * 100);
+
+/**
+ * Matches Axis Transaction Analysis Report rows to Axis payouts still `queued`,
+ * on beneficiary account and amount plus the CRN or file name we sent. A row
+ * is only settled when its CRN or file name picks out exactly one payout;
+ * rows that fit on account and amount alone, or fit several payouts, are
+ * flagged for review instead of being guessed.
+ * @param {import('mongodb').Db} db - Database holding the payouts collection.
+ * @param {Array<Object>} rows - Documents produced by `parseAxisBankReport`.
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Only payouts queued at or after this time count as unmatched.
+ * @param {Date} [options.until] - Only payouts queued before this time count as unmatched.
+ * @param {import('mongodb').Collection} [options.statementCollection] - When given, rows are tagged with their match result.
+ * @returns {Promise<Object>} Summary with matched (settled by this call), alreadySettled, pending, ambiguousRows,
+ *   unmatchedRows and unmatchedPayouts.
+ */
+export async function reconcileAxisRows(db, rows, { since, until, statementCollection } = {}) {
+  const payouts = db.collection(PAYOUTS_COLL);
+  const accounts = [...new Set(rows.map(r => normalizeAccount(r.Beneficiary_Account_Number)).filter(Boolean))];
+  const accountPattern = accounts.map(a => `^0*${a.replace(/[^0-9A-Za-z]/g, '')}$`);
+  const candidates = accountPattern.length
+    ? await payouts.find({
+      'beneficiary.account': { $in: accountPattern.map(p => new RegExp(p)) },
+      bank: 'axis',
+      status: 'queued',
+    }).toArray()
+    : [];
+
+  const summary = { matched: [], alreadySettled: [], pending: [], ambiguousRows: [], unmatchedRows: [], unmatchedPayouts: [] };
+  const settled = [];
+  const claimed = new Set();
+
+  for (const row of rows) {
+    const account = normalizeAccount(row.Beneficiary_Account_Number);
+    const amount = toPaise(row.Amount);
+    const matches = candidates.filter(p =>
+      !claimed.has(String(p._id)) &&
+      normalizeAccount(p.beneficiary?.account) === account &&
+      toPaise(p.amount) === amount
+    );
+
+    if (matches.length === 0) {
+      summary.unmatchedRows.push(row);
+      await tagStatementRow(statementCollection, row, { reconStatus: 'unmatched', needsReview: true });
+      continue;
+    }
+
+    // The CRN we put in the file identifies the payout outright; otherwise the file name must narrow it down.
+    // Account and amount alone are not proof: another payout may pay the same person the same sum.
+    const crn = String(row.CRN || '').trim();
+    const byCrn = matches.filter(p => crn && (p.bankRef === crn || String(p.payoutId) === crn));
+    const byFile = row.File_Name ? matches.filter(p => p.bankFileName === row.File_Name) : [];
+    const confirmed = byCrn.length ? byCrn : byFile;
+
+    if (confirmed.length !== 1) {
+      const candidateIds = (confirmed.length ? confirmed : matches).map(p => p.payoutId);
+      const reason = confirmed.length ? 'several payouts fit' : 'no CRN or file name match';
+      summary.ambiguousRows.push({ row, candidateIds, reason });
+      await tagStatementRow(statementCollection, row, { reconStatus: 'ambiguous', needsReview: true, candidateIds, reviewReason: reason });
+      continue;
+    }
+
+    const payout = confirmed[0];
+    claimed.add(String(payout._id));
+    const status = mapAxisStatus(row.Status);
+    if (!status) {
+      summary.pending.push({ payoutId: payout.payoutId, bankStatus: row.Status });
+      await tagStatementRow(statementCollection, row, { reconStatus: 'pending', matchedPayoutId: payout.payoutId });
+      continue;
+    }
+
+    const utr = String(row.UTR || '').trim();
+    const result = await payouts.updateOne(
+      { _id: payout._id, status: { $nin: FINAL_STATUSES } },
+      {
+        $set: {
+          status,
+          utr: utr || null,
+          bankStatus: row.Status || null,
+          bankRef: crn || payout.bankRef || null,
+          paymentMode: row.Payment_Mode || payout.paymentMode || null,
+          reconciledAt: new Date(),
+        },
+      }
+    );
+    if (result.modifiedCount) {
+      settled.push({ _id: payout._id, from: payout.status, to: status });
+      summary.matched.push({ payoutId: payout.payoutId, status });
+    } else {
+      summary.alreadySettled.push({ payoutId: payout.payoutId, status, bankStatus: row.Status });
+    }
+    await tagStatementRow(statementCollection, row, { reconStatus: 'matched', matchedPayoutId: payout.payoutId });
+  }
+
+  const queuedAt = {};
+  if (since) queuedAt.$gte = since;
+  if (until) queuedAt.$lt = until;
+  summary.unmatchedPayouts = await payouts.find({
+    status: 'queued',
+    bank: 'axis',
+    _id: { $nin: candidates.filter(p => claimed.has(String(p._id))).map(p => p._id) },
+    ...(since || until ? { queuedAt } : {}),
+  }).toArray();
+
+  await auditSettled(db, 'axis', settled);
+  console.log(`🔎 Axis reconciliation: ${summary.matched.length} settled, ${summary.alreadySettled.length} already settled, ` +
+    `${summary.pending.length} pending, ${summary.ambiguousRows.length} ambiguous, ${summary.unmatchedRows.length} unmatched rows, ` +
+    `${summary.unmatchedPayouts.length} unmatched payouts`);
+  return summary;
+}
+
+// One audit entry per from → to pair, rather than one per payout.
+async function auditSettled(db, bank, settled) {
+  const groups = new Map();
+  for (const { _id, from, to } of settled) {
+    const key = `${from}→${to}`;
+    if (!groups.has(key)) groups.set(key, { from, to, ids: [] });
+    groups.get(key).ids.push(_id);
+  }
+  for (const { from, to, ids } of groups.values()) {
+    await auditStatusChange(db, ids, from, to, { bank, details: { reason: 'reconciled with bank statement' } });
+  }
+}
+
+async function tagStatementRow(collection, row, fields) {
+  if (!collection || !row._id) return;
+  await collection.updateOne({ _id: row._id }, { $set: { ...fields, reconciledAt: new Date() } });
+}
@@ -0,0 +1,223 @@
+import xlsx from 'xlsx';
+import { notify } from './notify.js';
+
+/**
+ * Declarative layouts of the bank report files we read back.
+ *
+ * Each column names the document `key` it fills and the header `aliases` it may
+ * appear under; headers are compared case-, spacing- and punctuation-insensitively,
+ * so `'Host Processing Date & Time '` matches `'Host Processing Date Time'`.
+ * `required` columns must be present or the file is rejected. `rowKeys` are the
+ * columns a row needs values in to count as a transaction.
+ */
+
+export const AXIS_REPORT_LAYOUT = {
+  bank: 'axis',
+  name: 'Transaction Analysis Report',
+  raw: false,
+  rowKeys: ['Transaction_Date', 'Beneficiary_Name'],
+  columns: [
+    { key: 'Serial_No', aliases: ['S. No.', 'Sr. No.', 'Serial No'] },
+    { key: 'Transaction_Date', aliases: ['Transaction Date', 'Txn Date'], required: true },
+    { key: 'Beneficiary_Name', aliases: ['Beneficiary Name'], required: true },
+    { key: 'Beneficiary_Account_Number', aliases: ['Beneficiary Account Number', 'Beneficiary Account No', 'Beneficiary A/c No'], required: true },
+    { key: 'Beneficiary_Bank', aliases: ['Beneficiary Bank', 'Beneficiary Bank Name'] },
+    { key: 'Beneficiary_IFSC', aliases: ['Beneficiary IFSC', 'IFSC', 'IFSC Code'] },
+    { key: 'Amount', aliases: ['Amount', 'Amount (INR)', 'Transaction Amount'], required: true },
+    { key: 'UTR', aliases: ['UTR', 'UTR No', 'UTR Number'], required: true },
+    { key: 'CRN', aliases: ['CRN', 'Customer Reference Number', 'Corporate Reference Number'], required: true },
+    { key: 'File_Name', aliases: ['File Name'] },
+    { key: 'Status', aliases: ['Status', 'Transaction Status'], required: true },
+    { key: 'Payment_Mode', aliases: ['Payment Mode', 'Payment Method'] },
+  ],
+};
+
+export const KOTAK_STATEMENT_LAYOUT = {
+  bank: 'kotak',
+  name: 'Payment Grid Details',
+  raw: true,
+  rowKeys: [],
+  columns: [
+    { key: 'Sending_Account_Number', aliases: ['Sending Account Number', 'Debit Account Number'] },
+    { key: 'Receiver_Name', aliases: ['Receiver Name', 'Beneficiary Name'] },
+    { key: 'Receiver_Code', aliases: ['Receiver Code', 'Beneficiary Code'] },
+    { key: 'Product_Code', aliases: ['Product Code'] },
+    { key: 'Package_Code', aliases: ['Package Code'] },
+    { key: 'IFSC_Code', aliases: ['IFSC Code', 'IFSC'] },
+    { key: 'Receiver_Account_Number', aliases: ['Receiver Account Number', 'Beneficiary Account Number'], required: true },
+    { key: 'Amount', aliases: ['Amount'], required: true },
+    { key: 'Instrument_Date', aliases: ['Instrument Date'] },
+    { key: 'Effective_Date', aliases: ['Effective Date'] },
+    { key: 'UTR_SrNo', aliases: ['UTR SrNo', 'UTR Sr No', 'UTR No', 'UTR'], required: true },
+    { key: 'Instrument_No', aliases: ['Instrument No'] },
+    { key: 'Instrument_Status', aliases: ['Instrument Status', 'Status'], required: true },
+    { key: 'Maker', aliases: ['Maker'] },
+    { key: 'Maker_DateTime', aliases: ['Maker DateTime', 'Maker Date Time'] },
+    { key: 'Checker_1', aliases: ['Checker 1'] },
+    { key: 'Checker_1_DateTime', aliases: ['Checker 1 DateTime', 'Checker 1 Date Time'] },
+    { key: 'Checker_2', aliases: ['Checker 2'] },
+    { key: 'Checker_2_DateTime', aliases: ['Checker 2 DateTime', 'Checker 2 Date Time'] },
+    { key: 'Sent_By', aliases: ['Sent By'] },
+    { key: 'Sent_By_DateTime', aliases: ['Sent By DateTime', 'Sent By Date Time'] },
+    { key: 'Instrument_Payment_Ref_No', aliases: ['Instrument Payment Ref No'] },
+    { key: 'Batch_Payment_Ref_No', aliases: ['Batch Payment Ref No'] },
+    { key: 'Payment_Details', aliases: ['Payment Details', 'Payment Details 1'], required: true },
+    { key: 'Payment_Details_2', aliases: ['Payment Details 2'] },
+    { key: 'Payment_Details_3', aliases: ['Payment Details 3'] },
+    { key: 'Payment_Details_4', aliases: ['Payment Details 4'] },
+    { key: 'Host_Processing_Date_', aliases: ['Host Processing Date & Time', 'Host Processing Date Time'] },
+    { key: 'Reject_Remarks', aliases: ['Reject Remarks', 'Reject Reason'] },
+    { key: 'Debit_Type', aliases: ['Debit Type'] },
+    { key: 'Verified_Beneficiary_Name', aliases: ['Verified Beneficiary Name'] },
+  ],
+};
+
+// How far down the sheet the header may sit (Axis puts a 15-row preamble above it).
+const MAX_HEADER_SCAN_ROWS = 50;
+
+/**
+ * Thrown when a report's layout no longer matches what we expect, so a changed
+ * bank format fails the run instead of quietly yielding no rows.
+ */
+export class ReportFormatError extends Error {
+  /**
+   * @param {string} message
+   * @param {{layout: Object, filePath?: string, missing?: string[], unexpected?: string[], headerRow?: number}} details
+   */
+  constructor(message, { layout, filePath, missing = [], unexpected = [], headerRow = null }) {
+    super(message);
+    this.name = 'ReportFormatError';
+    this.bank = layout.bank;
+    this.report = layout.name;
+    this.filePath = filePath;
+    this.missing = missing;
+    this.unexpected = unexpected;
+    this.headerRow = headerRow;
+  }
+}
+
+const normalizeHeader = value => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const isBlank = value => value == null || String(value).trim() === '';
+
+/**
+ * Matches one sheet row against the layout's aliases.
+ * @returns {{indexes: Map<string, number>, missing: string[], unexpected: string[]}}
+ */
+function matchHeader(row, layout) {
+  const indexes = new Map();
+  const used = new Set();
+  for (const column of layout.columns) {
+    const aliases = new Set(column.aliases.map(normalizeHeader));
+    const index = row.findIndex((cell, i) => !used.has(i) && aliases.has(normalizeHeader(cell)));
+    if (index !== -1) {
+      indexes.set(column.key, index);
+      used.add(index);
+    }
+  }
+  const missing = layout.columns.filter(c => !indexes.has(c.key)).map(c => c.aliases[0]);
+  const unexpected = row.filter((cell, i) => !used.has(i) && !isBlank(cell)).map(cell => String(cell).trim());
+  return { indexes, missing, unexpected };
+}
+
+/**
+ * Finds the header row of a sheet: the first row, within the first
+ * `MAX_HEADER_SCAN_ROWS`, that carries every required column.
+ * @param {Array<Array<*>>} rows - Sheet as an array of row arrays.
+ * @param {Object} layout - One of the `*_LAYOUT` definitions.
+ * @returns {{headerRow: number, indexes: Map<string, number>, missing: string[], unexpected: string[]}}
+ * @throws {ReportFormatError} When no row qualifies; `missing` lists what the closest row lacked.
+ */
+export function findHeaderRow(rows, layout) {
+  const required = layout.columns.filter(c => c.required).map(c => c.aliases[0]);
+  let best = null;
+
+  for (let i = 0; i < Math.min(rows.length, MAX_HEADER_SCAN_ROWS); i++) {
+    const match = matchHeader(rows[i] || [], layout);
+    const missingRequired = match.missing.filter(name => required.includes(name));
+    if (!missingRequired.length) return { headerRow: i, ...match };
+    if (match.indexes.size && (!best || match.indexes.size > best.indexes.size)) best = { headerRow: i, ...match, missingRequired };
+  }
+
+  throw new ReportFormatError(
+    best
+      ? `${layout.name}: header row ${best.headerRow + 1} is missing ${best.missingRequired.join(', ')}`
+      : `${layout.name}: no header row found in the first ${MAX_HEADER_SCAN_ROWS} rows`,
+    { layout, missing: best ? best.missingRequired : required, unexpected: best?.unexpected, headerRow: best?.headerRow ?? null }
+  );
+}
+
+/**
+ * Reads the transaction table out of a report sheet. The table starts below the
+ * detected header and ends at the first blank row after it, which is where the
+ * summary blocks of the Axis report begin.
+ * @param {Object} sheet - xlsx worksheet.
+ * @param {Object} layout - One of the `*_LAYOUT` definitions.
+ * @returns {{docs: Array<Object>, headerRow: number, missing: string[], unexpected: string[]}}
+ *   Documents keyed by column `key`; `missing` lists optional columns not found, `unexpected` header cells no column claimed.
+ * @throws {ReportFormatError} When the header can't be found.
+ */
+export function parseReportSheet(sheet, layout) {
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: layout.raw, blankrows: true });
+  const { headerRow, indexes, missing, unexpected } = findHeaderRow(rows, layout);
+
+  const docs = [];
+  for (const row of rows.slice(headerRow + 1)) {
+    if (!row || row.every(isBlank)) {
+      if (docs.length) break;
+      continue;
+    }
+    const doc = {};
+    for (const column of layout.columns) {
+      doc[column.key] = indexes.has(column.key) ? row[indexes.get(column.key)] ?? null : null;
+    }
+    if (layout.rowKeys.some(key => isBlank(doc[key]))) continue;
+    docs.push(doc);
+  }
+  return { docs, headerRow, missing, unexpected };
+}
+
+/**
+ * Parses the first sheet of a downloaded report file.
+ * @param {string} filePath - Report file (XLS/XLSX).
+ * @param {Object} layout - One of the `*_LAYOUT` definitions.
+ * @returns {{docs: Array<Object>, headerRow: number, missing: string[], unexpected: string[]}}
+ * @throws {ReportFormatError} When the header can't be found.
+ */
+export function parseReportFile(filePath, layout) {
+  const workbook = xlsx.readFile(filePath);
+  try {
+    return parseReportSheet(workbook.Sheets[workbook.SheetNames[0]], layout);
+  } catch (error) {
+    if (error instanceof ReportFormatError) error.filePath = filePath;
+    throw error;
+  }
+}
+
+/**
+ * `parseReportFile` for the automation runs: logs layout drift, and on a format
+ * error sends a `report_format_changed` notification before rethrowing.
+ * @param {string} filePath - Report file (XLS/XLSX).
+ * @param {Object} layout - One of the `*_LAYOUT` definitions.
+ * @returns {Promise<Array<Object>>} Documents keyed by column `key`.
+ * @throws {ReportFormatError} When the header can't be found.
+ */
+export async function readBankReport(filePath, layout) {
+  try {
+    const { docs, headerRow, missing, unexpected } = parseReportFile(filePath, layout);
+    console.log(`📖 ${layout.name}: header on row ${headerRow + 1}, ${docs.length} rows`);
+    if (missing.length) console.warn(`⚠️ ${layout.name}: columns not found: ${missing.join(', ')}`);
+    if (unexpected.length) console.warn(`⚠️ ${layout.name}: unknown columns: ${unexpected.join(', ')}`);
+    return docs;
+  } catch (error) {
+    if (error instanceof ReportFormatError) {
+      await notify('report_format_changed', {
+        bank: layout.bank,
+        report: layout.name,
+        filePath,
+        message: error.message,
+        unexpected: error.unexpected,
+      });
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,5 @@
+import crypto from 'crypto';
+import { toIsoDate } from './dateRange.js';
+
+// Identifies the automation run that produced a file or log entry. Set RUN_ID to group several processes under one run.
+export const RUN_ID = process.env.RUN_ID || `${toIsoDate(new Date())}-${crypto.randomBytes(4).toString('hex')}`;
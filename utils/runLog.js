@@ -0,0 +1,254 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+import dotenv from 'dotenv';
+import { RUN_ID } from './runId.js';
+import { ensureDirectoryExists } from './files.js';
+dotenv.config();
+
+const RUN_LOG_DIR = path.resolve(process.env.RUN_LOG_DIR || './logs');
+const RUN_REPORTS_COLL = 'run_reports';
+
+// Console methods mirrored into the run log, with the level they are stored at.
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+/**
+ * Latest run report of every flow, e.g. for a status overview.
+ * @param {import('mongodb').Db} db - Database holding the run reports.
+ * @returns {Promise<Array<Object>>} One report per flow, sorted by flow.
+ */
+export async function latestRuns(db) {
+  const latest = await db.collection(RUN_REPORTS_COLL).aggregate([
+    { $sort: { finishedAt: -1 } },
+    { $group: { _id: '$flow', report: { $first: '$$ROOT' } } },
+    { $sort: { _id: 1 } },
+  ]).toArray();
+  return latest.map(l => l.report);
+}
+
+/**
+ * Starts the structured log of one automation run. Every entry is a JSON line in
+ * `<RUN_LOG_DIR>/<runId>.jsonl` carrying the run id, flow, bank, account and the
+ * step it happened in. While the run is open, console output is mirrored into
+ * the log too, so the existing emoji logs of the utils keep their step context.
+ *
+ * Steps are opened with `step(name)`; opening the next one closes the previous
+ * one as ok, and `fail(error)` closes it as failed, so the step timings follow
+ * the `currentStep = '...'` style the specs already used.
+ * @param {string} flow - What the run does, e.g. 'kotak-upload' or 'axis-statement'.
+ * @param {Object} [context]
+ * @param {'kotak'|'axis'} [context.bank] - Bank the run talks to.
+ * @param {string} [context.account] - Bank user the run acts as, unless a step names another.
+ * @returns {Object} The run: `step`, `info`, `warn`, `error`, `fail`, `count`, `addFiles`, `fileStatus`, `finish` and `currentStep`.
+ */
+export function startRun(flow, { bank = null, account = null } = {}) {
+  ensureDirectoryExists(RUN_LOG_DIR);
+  const logFile = path.join(RUN_LOG_DIR, `${RUN_ID}.jsonl`);
+  const startedAt = new Date();
+  const steps = [];
+  const errors = [];
+  const counts = {};
+  const files = [];
+  let current = null;
+  let finished = null;
+
+  function write(level, msg, fields = {}) {
+    const entry = {
+      ts: new Date().toISOString(),
+      level,
+      runId: RUN_ID,
+      flow,
+      bank,
+      account: current?.account ?? account,
+      step: current?.name ?? null,
+      msg,
+      ...fields,
+    };
+    try {
+      fs.appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      originalConsole.error(`❌ Could not write run log ${logFile}:`, error.message);
+    }
+  }
+
+  // Mirror console output until the run finishes; the original methods still print as before
+  const originalConsole = {};
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    originalConsole[method] = console[method];
+    console[method] = (...args) => {
+      originalConsole[method](...args);
+      write(level, util.format(...args), { source: 'console' });
+    };
+  }
+  const restoreConsole = () => Object.assign(console, originalConsole);
+
+  function endStep(outcome, error) {
+    if (!current) return;
+    const durationMs = Date.now() - current.startedAt.getTime();
+    const done = { ...current, durationMs, outcome, ...(error ? { error: error.message } : {}) };
+    write(outcome === 'ok' ? 'info' : 'error', `${current.name} ${outcome}`, {
+      event: 'step_end',
+      durationMs,
+      outcome,
+      ...(error ? { error: error.message, stack: error.stack } : {}),
+    });
+    steps.push(done);
+    current = null;
+  }
+
+  const run = {
+    runId: RUN_ID,
+    logFile,
+
+    /** Name of the open step, for alerts. */
+    get currentStep() {
+      return current?.name ?? (steps.at(-1)?.name || 'START');
+    },
+
+    /**
+     * Closes the open step as ok and opens the next.
+     * @param {string} name - Step name.
+     * @param {Object} [fields] - Stored on the step, e.g. `{account, fileName}`.
+     */
+    step(name, fields = {}) {
+      endStep('ok');
+      current = { name, ...fields, account: fields.account ?? account, startedAt: new Date() };
+      write('info', name, { event: 'step_start', ...fields });
+    },
+
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+
+    /**
+     * Records an error against the open step and closes that step as failed.
+     * @param {Error} error - What went wrong.
+     */
+    fail(error) {
+      errors.push({ step: current?.name ?? null, message: error.message, at: new Date() });
+      if (current) endStep('failed', error);
+      else write('error', error.message, { stack: error.stack });
+    },
+
+    /**
+     * Adds to a counter of the run report, e.g. `count('payoutsConsidered', 40)`.
+     * @param {string} name - Counter name.
+     * @param {number} [n] - Amount to add.
+     */
+    count(name, n = 1) {
+      counts[name] = (counts[name] || 0) + n;
+    },
+
+    /**
+     * Adds generated upload files to the run report as `generated`.
+     * @param {Array<{fileName: string, batchId: *, count: number, amount?: number, attempt?: number}>} generated - Files from the file generators.
+     */
+    addFiles(generated) {
+      for (const file of generated) {
+        files.push({
+          fileName: file.fileName,
+          batchId: file.batchId,
+          attempt: file.attempt || 1,
+          payouts: file.count,
+          amount: file.amount ?? null,
+          status: 'generated',
+          bankRejected: { payouts: 0, amount: 0 },
+        });
+        write('info', `File ${file.fileName} generated`, { event: 'file', fileName: file.fileName, status: 'generated', payouts: file.count, amount: file.amount });
+      }
+    },
+
+    /**
+     * Moves a file of the report on: `uploaded`, `approved`, `needs_review` (paid but
+     * not confirmed) or `rejected`.
+     * @param {string} fileName - File added with `addFiles`.
+     * @param {'uploaded'|'approved'|'needs_review'|'rejected'} status - Where the file got to.
+     * @param {Object} [extra] - `remark`, or `bankRejected: {payouts, amount}` for records the bank dropped.
+     */
+    fileStatus(fileName, status, { bankRejected, ...extra } = {}) {
+      const file = files.find(f => f.fileName === fileName);
+      if (!file) return;
+      Object.assign(file, extra, { status });
+      if (bankRejected) {
+        file.bankRejected.payouts += bankRejected.payouts;
+        file.bankRejected.amount += bankRejected.amount;
+      }
+      write(status === 'rejected' ? 'warn' : 'info', `File ${fileName} ${status}`, { event: 'file', fileName, status, ...extra, bankRejected });
+    },
+
+    /**
+     * Closes the run and writes its report to `<RUN_LOG_DIR>/<runId>_<flow>.report.json`
+     * and the `run_reports` collection. Safe to call more than once; later calls return the same report.
+     * @param {import('mongodb').Db} [db] - Database for the report; skipped when absent.
+     * @param {Object} [options]
+     * @param {Error} [options.error] - Error that ended the run, if not already passed to `fail`.
+     * @returns {Promise<Object>} The run report.
+     */
+    async finish(db, { error } = {}) {
+      if (finished) return finished;
+      // The console stays patched only while the run is open, even if building the report throws
+      try {
+        if (error && !errors.some(e => e.message === error.message)) run.fail(error);
+        endStep('ok');
+
+        const finishedAt = new Date();
+        const uploaded = files.filter(f => ['uploaded', 'approved', 'needs_review'].includes(f.status));
+        const approved = files.filter(f => f.status === 'approved');
+        const rejected = files.filter(f => f.status === 'rejected');
+        const sum = (list, pick) => list.reduce((total, f) => total + (pick(f) || 0), 0);
+
+        finished = {
+          runId: RUN_ID,
+          flow,
+          bank,
+          account,
+          host: os.hostname(),
+          pid: process.pid,
+          startedAt,
+          finishedAt,
+          durationMs: finishedAt - startedAt,
+          outcome: errors.length ? 'failed' : 'ok',
+          counts,
+          records: {
+            generated: sum(files, f => f.payouts),
+            uploaded: sum(uploaded, f => f.payouts),
+            approved: sum(approved, f => f.payouts - f.bankRejected.payouts),
+            rejected: sum(rejected, f => f.payouts - f.bankRejected.payouts) + sum(files, f => f.bankRejected.payouts),
+          },
+          amounts: {
+            generated: sum(files, f => f.amount),
+            uploaded: sum(uploaded, f => f.amount),
+            approved: sum(approved, f => f.amount - f.bankRejected.amount),
+            rejected: sum(rejected, f => f.amount - f.bankRejected.amount) + sum(files, f => f.bankRejected.amount),
+          },
+          files,
+          steps,
+          errors,
+          logFile,
+        };
+
+        write(finished.outcome === 'ok' ? 'info' : 'error', `Run ${finished.outcome}`, { event: 'run_end', durationMs: finished.durationMs });
+      } finally {
+        restoreConsole();
+      }
+
+      const reportFile = path.join(RUN_LOG_DIR, `${RUN_ID}_${flow}.report.json`);
+      try {
+        fs.writeFileSync(reportFile, JSON.stringify(finished, null, 2));
+        console.log(`🧾 Run report: ${reportFile}`);
+      } catch (e) {
+        console.error(`❌ Could not write run report ${reportFile}:`, e.message);
+      }
+      if (db) {
+        // A report that cannot be stored must not turn a good run into a failed one
+        await db.collection(RUN_REPORTS_COLL).insertOne({ ...finished })
+          .catch(e => console.error('❌ Could not store run report:', e.message));
+      }
+      return finished;
+    },
+  };
+
+  write('info', 'Run started', { event: 'run_start', host: os.hostname(), pid: process.pid });
+  return run;
+}
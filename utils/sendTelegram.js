@@ -1,35 +1,115 @@
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
+import { waitForOtp } from './fetchOtp.js';
 dotenv.config();
 
-export async function sendTelegramAlert(message) {
-  const token = process.env.TELEGRAM_BOT_TOKEN;
-  const chatId = process.env.TELEGRAM_CHAT_ID;
-  const url = `https://api.telegram.org/bot${token}/sendMessage`;
+/**
+ * Error returned by the Telegram Bot API.
+ * `retryAfterMs` is set when Telegram asks us to slow down.
+ */
+export class TelegramApiError extends Error {
+  constructor(status, description, retryAfterMs) {
+    super(`Telegram API ${status}: ${description}`);
+    this.name = 'TelegramApiError';
+    this.status = status;
+    this.description = description;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /** True when Telegram could not parse the message's HTML or Markdown. */
+  get isParseError() {
+    return this.status === 400 && /parse entities|can't find end/i.test(this.description);
+  }
+}
 
-  if (!token || !chatId) {
+/**
+ * Posts one message to a Telegram chat.
+ * @param {string} text - Message text, already escaped for `parseMode`.
+ * @param {Object} [options]
+ * @param {string} [options.token] - Bot token; defaults to `TELEGRAM_BOT_TOKEN`.
+ * @param {string|number} [options.chatId] - Chat; defaults to `TELEGRAM_CHAT_ID`.
+ * @param {'HTML'|'MarkdownV2'} [options.parseMode] - Omit to send plain text.
+ * @returns {Promise<Object>} The sent message.
+ * @throws {TelegramApiError} When Telegram rejects the message.
+ */
+export async function sendTelegramMessage(text, {
+  token = process.env.TELEGRAM_BOT_TOKEN,
+  chatId = process.env.TELEGRAM_CHAT_ID,
+  parseMode,
+} = {}) {
+  if (!token || !chatId) throw new Error('❌ Telegram bot token or chat id is missing');
+
+  const res = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      chat_id: chatId,
+      text,
+      ...(parseMode ? { parse_mode: parseMode } : {}),
+      disable_web_page_preview: true,
+    }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) {
+    const retryAfter = data.parameters?.retry_after;
+    throw new TelegramApiError(res.status, data.description || res.statusText, retryAfter ? retryAfter * 1000 : undefined);
+  }
+  return data.result;
+}
+
+/**
+ * Long-polls the Bot API for new updates.
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Id of the first update wanted; earlier ones are confirmed and dropped by Telegram.
+ * @param {number} [options.timeoutSec] - How long Telegram may hold the request open.
+ * @param {string} [options.token] - Bot token; defaults to `TELEGRAM_BOT_TOKEN`.
+ * @param {AbortSignal} [options.signal] - Ends the poll early, e.g. on shutdown.
+ * @returns {Promise<Array<Object>>} Updates, oldest first.
+ * @throws {TelegramApiError} When Telegram rejects the request (409 if another process is polling).
+ */
+export async function getTelegramUpdates({ offset, timeoutSec = 30, token = process.env.TELEGRAM_BOT_TOKEN, signal } = {}) {
+  const url = new URL(`https://api.telegram.org/bot${token}/getUpdates`);
+  if (offset != null) url.searchParams.set('offset', String(offset));
+  url.searchParams.set('timeout', String(timeoutSec));
+  url.searchParams.set('allowed_updates', JSON.stringify(['message']));
+
+  const res = await fetch(url, { signal });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) {
+    const retryAfter = data.parameters?.retry_after;
+    throw new TelegramApiError(res.status, data.description || res.statusText, retryAfter ? retryAfter * 1000 : undefined);
+  }
+  return data.result;
+}
+
+/**
+ * Asks the operator chat for an OTP and waits for it to be supplied with the
+ * bot's `/otp 123456` command (see `scripts/telegramBot.js`), which stores it
+ * in the `otps` collection for this request. Used as a fallback when no OTP
+ * reaches the `otps` collection in time.
+ * @param {string} prompt - Plain-text message explaining which OTP is needed.
+ * @param {Object} request - Passed to `waitForOtp` (bank, account, purpose).
+ * @param {number} [request.timeoutMs] - How long to wait for the reply.
+ * @returns {Promise<string|null>} The OTP, or null if nobody replied in time.
+ */
+export async function requestOtpViaTelegram(prompt, { timeoutMs = 5 * 60 * 1000, ...request } = {}) {
+  if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHAT_ID) {
     console.error('❌ TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID is missing in environment variables');
-    return;
+    return null;
   }
 
+  const after = Date.now();
   try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: message,
-        parse_mode: 'Markdown',
-      }),
-    });
-
-    if (!res.ok) {
-      const errText = await res.text();
-      console.error('❌ Telegram API error:', errText);
-    } else {
-      console.log('📩 Telegram alert sent.');
-    }
+    // Plain text: login ids and statuses in the prompt may hold Markdown characters
+    const hint = [request.bank, request.purpose].filter(Boolean).join(' ');
+    await sendTelegramMessage(`${prompt}\nReply with /otp 123456${hint ? ` (or /otp 123456 ${hint})` : ''}`);
   } catch (err) {
-    console.error('❌ Telegram request failed:', err.message);
+    console.error('❌ Telegram OTP request failed:', err.message);
+    return null;
   }
+
+  const result = await waitForOtp({ ...request, after, timeoutMs, consumer: 'automation (manual OTP)' });
+  if (result.status !== 'ok') return null;
+  console.log('📩 OTP received from Telegram.');
+  return result.otp;
 }
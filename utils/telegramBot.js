@@ -0,0 +1,306 @@
+import dotenv from 'dotenv';
+import { ObjectId } from 'mongodb';
+import { getTelegramUpdates, sendTelegramMessage } from './sendTelegram.js';
+import { formatTelegram } from './notify.js';
+import { renderEvent, formatRupees } from './notifyTemplates.js';
+import { AUDIT_ACTIONS, safeAudit } from './audit.js';
+import { getPauseState, setPaused } from './automationControl.js';
+import { expediteRetry, findStuckUploads, markBatchNeedsReview } from './batches.js';
+import { insertManualOtp } from './fetchOtp.js';
+import { latestRuns } from './runLog.js';
+import { summarizeDay } from './dailySummary.js';
+import { parseDateInput } from './dateRange.js';
+dotenv.config();
+
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+const BATCHES_COLL = 'batches';
+
+// Commands that waited longer than this (e.g. sent while the bot was down) are not run.
+const MAX_COMMAND_AGE_MS = Number(process.env.BOT_MAX_COMMAND_AGE_MS) || 5 * 60 * 1000;
+
+// Wait after a failed poll, doubled up to the maximum while Telegram stays unreachable.
+const POLL_RETRY_MS = 5000;
+const POLL_RETRY_MAX_MS = 5 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Chats allowed to send commands: `TELEGRAM_ALLOWED_CHAT_IDS` (comma-separated),
+ * or the alert chat `TELEGRAM_CHAT_ID` when that is not set.
+ * @returns {Set<string>} Chat ids.
+ */
+export function allowedChatIds() {
+  const list = process.env.TELEGRAM_ALLOWED_CHAT_IDS || process.env.TELEGRAM_CHAT_ID || '';
+  return new Set(list.split(',').map(id => id.trim()).filter(Boolean));
+}
+
+/**
+ * Splits a message like `/retry@PaylogicBot 65f0… now` into command and arguments.
+ * @param {string} text - Message text.
+ * @returns {{command: string, args: string[]}|null} Null when the text is not a command.
+ */
+export function parseCommand(text) {
+  const match = String(text || '').trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+(.*))?$/is);
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), args: match[2] ? match[2].trim().split(/\s+/) : [] };
+}
+
+async function findBatchId(db, ref) {
+  if (ObjectId.isValid(ref) && String(new ObjectId(ref)) === ref.toLowerCase()) return new ObjectId(ref);
+  const batch = await db.collection(BATCHES_COLL).findOne({ fileName: ref }, { projection: { _id: 1 }, sort: { createdAt: -1 } });
+  if (!batch) throw new Error(`No batch with id or file name '${ref}'`);
+  return batch._id;
+}
+
+const formatTime = date => (date ? new Date(date).toLocaleString('en-IN', { hour12: false }) : '?');
+
+/*
+ * Commands. `run` gets `{db, args, actor}` and returns the reply as a message
+ * model of the notifier, plus `audit` fields for the log entry; it throws to
+ * report a failure. `redact` replaces arguments that must not reach the log.
+ */
+const COMMANDS = {
+  help: {
+    usage: '/help',
+    description: 'List the commands',
+    run: async () => ({
+      reply: {
+        emoji: '🤖',
+        title: 'Paylogic bot commands',
+        block: Object.values(COMMANDS).map(c => `${c.usage}\n  ${c.description}`).join('\n'),
+      },
+    }),
+  },
+
+  status: {
+    usage: '/status',
+    description: 'Open payouts by status, last run per flow',
+    run: async ({ db }) => {
+      const [byStatus, runs, pause, waiting, review, stuck] = await Promise.all([
+        db.collection(PAYOUTS_COLL).aggregate([
+          { $match: { status: { $nin: ['success', 'failed'] } } },
+          { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+          { $sort: { _id: 1 } },
+        ]).toArray(),
+        latestRuns(db),
+        getPauseState(db),
+        db.collection(BATCHES_COLL).countDocuments({ state: 'upload_rejected', nextRetryAt: { $exists: true } }),
+        db.collection(BATCHES_COLL).countDocuments({ state: 'needs_review' }),
+        findStuckUploads(db),
+      ]);
+
+      const runLines = runs.map(r => `${r.flow.padEnd(16)} ${r.outcome === 'ok' ? '✅' : '❌'} ${formatTime(r.finishedAt)}` +
+        ` (${Math.round(r.durationMs / 1000)}s)${r.errors?.[0] ? ` ${r.errors[0].step}: ${r.errors[0].message}` : ''}`);
+      return {
+        reply: {
+          emoji: '📋',
+          title: 'Payout status',
+          fields: [
+            ['⏯ Scheduled uploads', pause.paused ? `paused by ${pause.by || '?'} since ${formatTime(pause.at)}${pause.reason ? ` (${pause.reason})` : ''}` : 'running'],
+            ...byStatus.map(s => [`• ${s._id}`, `${s.count} (${formatRupees(s.amount)})`]),
+            ['🔁 Batches awaiting retry', waiting],
+            ['🔎 Batches needing review', review],
+            // A run died while uploading these; the operator checks the portal, then sends /review
+            ...(stuck.length ? [['⚠️ Stuck uploading (/review)', stuck.map(b => b.fileName).join(', ')]] : []),
+          ],
+          text: byStatus.length ? null : 'No open payouts.',
+          block: runLines.length ? runLines.join('\n') : 'No runs recorded yet.',
+        },
+      };
+    },
+  },
+
+  retry: {
+    usage: '/retry <batchId|fileName>',
+    description: 'Retry a rejected batch on the next run',
+    run: async ({ db, args: [ref] }) => {
+      if (!ref) throw new Error('Usage: /retry <batchId|fileName>');
+      const batch = await expediteRetry(db, await findBatchId(db, ref));
+      return {
+        reply: {
+          emoji: '🔁',
+          title: 'Retry scheduled',
+          fields: [['🆔 Batch', String(batch._id)], ['📄 File', batch.fileName], ['🏦 Bank', batch.bank]],
+          text: 'It will be rebuilt and uploaded on the next run.',
+        },
+        audit: { batchId: batch._id, bank: batch.bank, fileName: batch.fileName },
+      };
+    },
+  },
+
+  review: {
+    usage: '/review <batchId|fileName> [reason]',
+    description: 'Hold an uploading or unapproved batch for review',
+    run: async ({ db, args: [ref, ...words], actor }) => {
+      if (!ref) throw new Error('Usage: /review <batchId|fileName> [reason]');
+      const batchId = await findBatchId(db, ref);
+      const queued = await markBatchNeedsReview(db, batchId, words.join(' ') || `held by ${actor}`);
+      const batch = await db.collection(BATCHES_COLL).findOne({ _id: batchId }, { projection: { fileName: 1, bank: 1 } });
+      return {
+        reply: {
+          emoji: '🔎',
+          title: 'Batch held for review',
+          fields: [['🆔 Batch', String(batchId)], ['📄 File', batch.fileName], ['🏦 Bank', batch.bank], ['🧾 Payouts held', queued]],
+          text: 'Its payouts are queued for the statement to settle; none will be uploaded again.',
+        },
+        audit: { batchId, bank: batch.bank, fileName: batch.fileName },
+      };
+    },
+  },
+
+  pause: {
+    usage: '/pause [reason]',
+    description: 'Hold back scheduled payout uploads',
+    run: async ({ db, args, actor }) => {
+      const reason = args.join(' ') || null;
+      const { wasPaused } = await setPaused(db, true, { by: actor, reason });
+      return {
+        reply: {
+          emoji: '⏸',
+          title: wasPaused ? 'Uploads were already paused' : 'Uploads paused',
+          text: 'Runs already uploading finish normally; new runs stop before claiming payouts. /resume to continue.',
+        },
+      };
+    },
+  },
+
+  resume: {
+    usage: '/resume',
+    description: 'Let scheduled payout uploads run again',
+    run: async ({ db, actor }) => {
+      const { wasPaused } = await setPaused(db, false, { by: actor });
+      return { reply: { emoji: '▶️', title: wasPaused ? 'Uploads resumed' : 'Uploads were not paused' } };
+    },
+  },
+
+  otp: {
+    usage: '/otp <code> [kotak|axis] [login|transaction]',
+    description: 'Supply an OTP a run is waiting for',
+    redact: ([, ...rest]) => ['<redacted>', ...rest],
+    run: async ({ args: [code, ...hints], actor }) => {
+      if (!/^\d{4,8}$/.test(code || '')) throw new Error('Usage: /otp <code> [kotak|axis] [login|transaction]');
+      const bank = hints.find(h => ['kotak', 'axis'].includes(h.toLowerCase()))?.toLowerCase() || null;
+      const purpose = hints.find(h => ['login', 'transaction'].includes(h.toLowerCase()))?.toLowerCase() || null;
+      await insertManualOtp({ otp: code, bank, purpose, submittedBy: actor });
+      const scope = [bank, purpose].filter(Boolean).join(' ');
+      return {
+        reply: {
+          emoji: '🔐',
+          title: 'OTP received',
+          text: `The next run waiting for an OTP${scope ? ` (${scope})` : ''} will use it.`,
+        },
+        audit: { bank },
+      };
+    },
+  },
+
+  report: {
+    usage: '/report [today|yesterday|YYYY-MM-DD]',
+    description: 'Payout summary of a day',
+    run: async ({ db, args: [when = 'today'] }) => {
+      let day = new Date();
+      if (when === 'yesterday') day.setDate(day.getDate() - 1);
+      else if (when !== 'today') day = parseDateInput(when);
+      const summary = await summarizeDay(db, day);
+      return { reply: renderEvent('daily_summary', summary).message };
+    },
+  },
+};
+
+/**
+ * Runs one incoming message if it is a command from an allowed chat, and
+ * writes the attempt to the audit log, including refused and failed ones.
+ * @param {import('mongodb').Db} db - Database the commands act on.
+ * @param {Object} message - Telegram message (`update.message`).
+ * @param {Object} [options]
+ * @param {Set<string>} [options.allowed] - Allowed chat ids; defaults to `allowedChatIds()`.
+ * @param {Date} [options.now] - Current time, for the age check.
+ * @returns {Promise<string|null>} Reply as Telegram HTML, or null for messages that are not commands.
+ */
+export async function handleMessage(db, message, { allowed = allowedChatIds(), now = new Date() } = {}) {
+  const parsed = parseCommand(message?.text);
+  if (!parsed) return null;
+
+  const { command, args } = parsed;
+  const spec = COMMANDS[command];
+  const chatId = String(message.chat.id);
+  const user = message.from || {};
+  const actor = `telegram:${user.username || user.id || chatId}`;
+  const entry = {
+    action: AUDIT_ACTIONS.BOT_COMMAND,
+    actor,
+    details: { command, args: spec?.redact ? spec.redact(args) : args, chatId, messageId: message.message_id },
+  };
+
+  if (!allowed.has(chatId)) {
+    console.warn(`⛔ /${command} from ${actor} in chat ${chatId} refused: chat not allowed`);
+    await safeAudit(db, { ...entry, outcome: 'denied', details: { ...entry.details, error: 'chat not allowed' } });
+    return formatTelegram({ emoji: '⛔', title: 'This chat may not send commands', fields: [['Chat id', chatId]] });
+  }
+
+  const ageMs = now.getTime() - message.date * 1000;
+  if (ageMs > MAX_COMMAND_AGE_MS) {
+    await safeAudit(db, { ...entry, outcome: 'denied', details: { ...entry.details, error: `sent ${Math.round(ageMs / 1000)}s ago` } });
+    return formatTelegram({ emoji: '⌛', title: `/${command} ignored`, text: 'It was sent too long ago. Send it again if it is still needed.' });
+  }
+
+  if (!spec) {
+    await safeAudit(db, { ...entry, outcome: 'failed', details: { ...entry.details, error: 'unknown command' } });
+    return formatTelegram({ emoji: '❓', title: `Unknown command /${command}`, text: 'Send /help for the list.' });
+  }
+
+  console.log(`🤖 /${command} from ${actor}`);
+  try {
+    const { reply, audit = {} } = await spec.run({ db, args, actor });
+    await safeAudit(db, { ...entry, ...audit, outcome: 'ok' });
+    return formatTelegram(reply);
+  } catch (error) {
+    console.error(`❌ /${command} from ${actor} failed:`, error.message);
+    await safeAudit(db, { ...entry, outcome: 'failed', details: { ...entry.details, error: error.message } });
+    return formatTelegram({ emoji: '❌', title: `/${command} failed`, text: error.message.replace(/^❌\s*/, '') });
+  }
+}
+
+/**
+ * Long-polls Telegram and answers commands until `signal` aborts. This must be
+ * the only process reading the bot's updates; a second poller gets 409 errors.
+ * @param {import('mongodb').Db} db - Database the commands act on.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the bot.
+ * @returns {Promise<void>} Resolves once stopped.
+ */
+export async function runBot(db, { signal } = {}) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) throw new Error('❌ TELEGRAM_BOT_TOKEN is missing in environment variables');
+  const allowed = allowedChatIds();
+  if (!allowed.size) console.warn('⚠️ No chat is allowed to send commands; set TELEGRAM_ALLOWED_CHAT_IDS');
+  console.log(`🤖 Telegram bot listening (allowed chats: ${[...allowed].join(', ') || 'none'})`);
+
+  let offset;
+  let retryMs = POLL_RETRY_MS;
+  while (!signal?.aborted) {
+    let updates;
+    try {
+      updates = await getTelegramUpdates({ offset, signal });
+      retryMs = POLL_RETRY_MS;
+    } catch (error) {
+      if (signal?.aborted) break;
+      const delay = error.retryAfterMs ?? retryMs;
+      console.error(`❌ Telegram poll failed (${error.message}); retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+      retryMs = Math.min(retryMs * 2, POLL_RETRY_MAX_MS);
+      continue;
+    }
+
+    for (const update of updates) {
+      // Telegram drops the update on the next poll; if the bot dies first it is delivered again, and the age check stops stale ones
+      offset = update.update_id + 1;
+      const message = update.message;
+      if (!message) continue;
+      const reply = await handleMessage(db, message, { allowed });
+      if (!reply) continue;
+      await sendTelegramMessage(reply, { chatId: message.chat.id, parseMode: 'HTML' })
+        .catch(error => console.error(`❌ Could not answer chat ${message.chat.id}:`, error.message));
+    }
+  }
+  console.log('🤖 Telegram bot stopped');
+}
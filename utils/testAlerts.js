@@ -0,0 +1,19 @@
+import { notify } from './notify.js';
+
+/**
+ * Registers an afterEach hook that sends a `test_failed` notification when a test fails.
+ * @param {import('@playwright/test').TestType} test - The Playwright `test` object of the spec.
+ * @param {string} [prefix] - Heading placed before the test title, e.g. 'Axis Bank Test Failed'.
+ */
+export function alertOnFailure(test, prefix = '') {
+  test.afterEach(async ({ }, testInfo) => {
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await notify('test_failed', {
+        title: prefix ? `${prefix}: ${testInfo.title}` : testInfo.title,
+        status: testInfo.status,
+        error: testInfo.error?.message ? testInfo.error : null,
+        timeout: testInfo.timeout,
+      });
+    }
+  });
+}
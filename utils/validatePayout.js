@@ -0,0 +1,120 @@
+import dotenv from 'dotenv';
+import { auditStatusChange } from './audit.js';
+dotenv.config();
+
+const PAYOUTS_COLL = process.env.PAYOUTS_COLL || 'payouts';
+
+/**
+ * Per-transaction amount limits (in rupees) for each payment mode.
+ */
+export const MODE_LIMITS = {
+  IMPS: { min: 1, max: 500000 },
+  NEFT: { min: 1, max: Infinity },
+  RTGS: { min: 200000, max: Infinity },
+};
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_PATTERN = /^\d{9,18}$/;
+const NAME_MAX_LENGTH = 40;
+
+/**
+ * Reduces a beneficiary name to the characters bank upload files accept.
+ * @param {string} name - Name as stored on the payout.
+ * @returns {string} Name with only letters, digits, spaces and `. & -`, collapsed and trimmed.
+ */
+export function sanitizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .&-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, NAME_MAX_LENGTH)
+    .trim();
+}
+
+/**
+ * Checks a payout's beneficiary and amount before it goes into a bank file.
+ * @param {Object} payout - Payout document.
+ * @param {string} [mode] - Payment mode; defaults to the payout's own or IMPS.
+ * @returns {{ok: boolean, errors: string[], payout: Object}} Result with a sanitised copy of the payout.
+ */
+export function validatePayout(payout, mode = payout.paymentMode || 'IMPS') {
+  const errors = [];
+  const ifsc = String(payout.beneficiary?.ifsc || '').trim().toUpperCase();
+  const account = String(payout.beneficiary?.account || '').replace(/\s+/g, '');
+  const name = sanitizeName(payout.beneficiary?.name);
+  const amount = Number(payout.amount);
+
+  if (!IFSC_PATTERN.test(ifsc)) errors.push(`Invalid IFSC '${ifsc}'`);
+  if (!ACCOUNT_PATTERN.test(account)) errors.push(`Account number must be 9-18 digits, got '${account}'`);
+  if (!name) errors.push('Beneficiary name is empty after sanitising');
+
+  if (payout.amount == null || payout.amount === '' || !Number.isFinite(amount)) {
+    errors.push(`Amount is missing or not a number: '${payout.amount}'`);
+  } else if (amount <= 0) {
+    errors.push(`Amount must be greater than zero, got ${amount}`);
+  } else {
+    const limits = MODE_LIMITS[mode];
+    if (!limits) errors.push(`Unknown payment mode '${mode}'`);
+    else if (amount < limits.min || amount > limits.max) {
+      errors.push(`Amount ${amount} is outside the ${mode} limits (${limits.min}-${limits.max})`);
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    payout: {
+      ...payout,
+      amount: Math.round(amount * 100) / 100,
+      beneficiary: { ...payout.beneficiary, ifsc, account, name },
+    },
+  };
+}
+
+/**
+ * Splits payouts into valid (sanitised) and invalid ones.
+ * @param {Array<Object>} payouts - Payout documents.
+ * @returns {{valid: Array<Object>, invalid: Array<{payout: Object, errors: string[]}>}}
+ */
+export function validatePayouts(payouts) {
+  const valid = [];
+  const invalid = [];
+  for (const payout of payouts) {
+    const result = validatePayout(payout);
+    if (result.ok) valid.push(result.payout);
+    else invalid.push({ payout, errors: result.errors });
+  }
+  if (invalid.length) console.log(`⚠️ ${invalid.length} payouts failed validation`);
+  return { valid, invalid };
+}
+
+/**
+ * Moves payouts that failed validation to `validation_failed` with the reasons,
+ * releasing any batch claim so the rest of the batch still goes out.
+ * @param {import('mongodb').Db} db - Database holding payouts.
+ * @param {Array<{payout: Object, errors: string[]}>} invalid - Result of `validatePayouts`.
+ * @returns {Promise<number>} Number of payouts updated.
+ */
+export async function markValidationFailed(db, invalid) {
+  let updated = 0;
+  for (const { payout, errors } of invalid) {
+    const result = await db.collection(PAYOUTS_COLL).updateOne(
+      { _id: payout._id },
+      {
+        $set: { status: 'validation_failed', validationErrors: errors, validationFailedAt: new Date() },
+        $unset: { batchId: '', leaseExpiresAt: '' },
+      }
+    );
+    updated += result.modifiedCount;
+    if (result.modifiedCount) {
+      await auditStatusChange(db, [payout._id], payout.status || null, 'validation_failed', {
+        bank: payout.bank,
+        batchId: payout.batchId,
+        details: { errors },
+      });
+    }
+  }
+  return updated;
+}